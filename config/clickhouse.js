@@ -8,6 +8,7 @@
  */
 
 const { ClickHouse } = require('clickhouse');
+const { createClient } = require('@clickhouse/client');
 require('dotenv').config();
 
 // Initialize ClickHouse client
@@ -31,6 +32,41 @@ const clickhouse = new ClickHouse({
     }
 });
 
+// Official client used for batch inserts (JSONEachRow over HTTP)
+const client = createClient({
+    url: `${process.env.CLICKHOUSE_URL || 'http://localhost'}:${parseInt(process.env.CLICKHOUSE_PORT || '8123')}`,
+    username: process.env.CLICKHOUSE_USER || 'default',
+    password: process.env.CLICKHOUSE_PASSWORD || '',
+    database: process.env.CLICKHOUSE_DATABASE || 'audit_db',
+    compression: {
+        request: true,
+        response: true
+    },
+    clickhouse_settings: {
+        async_insert: 1,
+        wait_for_async_insert: 1,
+        // Accept ISO-8601 timestamps (2025-01-01T12:00:00.000Z) from the logger
+        date_time_input_format: 'best_effort'
+    }
+});
+
+// Empty on a single node (see migrations/)
+const cluster = process.env.CLICKHOUSE_CLUSTER || '';
+
+/**
+ * Table to insert into for a table created by the migrations
+ *
+ * Migrations create `<name>_local` plus a `<name>` read table over it:
+ * Distributed on a cluster, which accepts inserts, and Merge on a single
+ * node, which is read-only. Single-node writes go to `<name>_local`.
+ *
+ * @param {string} table - e.g. 'audit_logs'
+ * @returns {string} Table to insert into
+ */
+function writeTable(table) {
+    return cluster ? table : `${table}_local`;
+}
+
 /**
  * Test ClickHouse connection
  * @returns {Promise<boolean>} Connection status
@@ -51,5 +87,8 @@ async function testConnection() {
 
 module.exports = {
     clickhouse,
+    client,
+    cluster,
+    writeTable,
     testConnection
 };
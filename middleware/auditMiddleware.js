@@ -5,6 +5,14 @@
  * to ClickHouse using batch inserts. Captures request/response data
  * and tracks performance metrics.
  * 
+ * GETs are only logged (as READ events) on routes opted in with
+ * setReadAuditing(), which can sample them, fold repeated reads into one
+ * row and leave out response bodies.
+ * 
+ * The exported middleware is the default configuration; use
+ * createAuditMiddleware(options) for other methods, route filters
+ * and custom actor/action/resource/metadata extraction.
+ * 
  * @module middleware/auditMiddleware
  * 
  * @example
@@ -13,102 +21,514 @@
  * // Apply to all routes
  * app.use(auditMiddleware);
  * 
+ * // Custom configuration
+ * const { createAuditMiddleware } = auditMiddleware;
+ * app.use('/v2', createAuditMiddleware({ methods: ['GET', 'POST'], getActor: req => req.auth }));
+ * 
  * // OR apply to specific routes
  * app.use('/api', auditMiddleware);
+ * 
+ * // Capture before/after state for a resource type
+ * auditMiddleware.registerResourceLoader('functions', id => db.functions.findById(id));
+ * 
+ * // Audit uploads without storing their payloads
+ * auditMiddleware.setCaptureMode('/api/uploads/**', 'metadata-only');
+ * 
+ * // Record who viewed user profiles: one row per agent and profile per 10 minutes
+ * auditMiddleware.setReadAuditing('/api/users/*', { dedupeWindow: 600000, skipResponseBody: true });
  */
 
 const auditLogger = require('../utils/auditLogger');
+const { compileRoutePattern } = require('../utils/glob');
+const { compileTrustedProxies, resolveClientIp } = require('../utils/clientIp');
+const { resolveTenant } = require('../utils/tenant');
+const { getContext } = require('../utils/auditContext');
+
+// Resource type -> function(id, req) returning the current record (or a promise of it)
+const resourceLoaders = new Map();
+
+// Methods logged by default
+const DEFAULT_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Methods whose before-state is snapshotted via a registered loader
+const SNAPSHOT_METHODS = ['PUT', 'PATCH', 'DELETE'];
+
+// What each capture mode stores besides the event itself
+const CAPTURE_MODES = {
+    'full': { bodies: true, headers: true, metadata: true },
+    'headers-only': { bodies: false, headers: true, metadata: true },
+    'metadata-only': { bodies: false, headers: false, metadata: true },
+    'none': { bodies: false, headers: false, metadata: false }
+};
+
+// Per-route capture modes, first match wins
+const captureRules = [];
+const defaultCaptureMode = CAPTURE_MODES[process.env.AUDIT_CAPTURE_MODE] ? process.env.AUDIT_CAPTURE_MODE : 'full';
+
+// Per-route READ auditing of GETs, first match wins
+const readRules = [];
+const READ_DEFAULTS = {
+    sampleRate: parseFloat(process.env.AUDIT_READ_SAMPLE_RATE || '1'),
+    dedupeWindow: parseInt(process.env.AUDIT_READ_DEDUPE_WINDOW || '0'),
+    skipResponseBody: process.env.AUDIT_READ_SKIP_RESPONSE_BODY === 'true'
+};
+
+// Open de-duplication windows: key -> { rule, sampled, data, options, count, firstReadAt, lastReadAt, timer }
+const readWindows = new Map();
+const MAX_READ_WINDOWS = parseInt(process.env.AUDIT_READ_MAX_WINDOWS || '10000');
+
+// Reads held in open windows are logged before the logger's final flush
+auditLogger.onShutdown(() => flushReadWindows());
 
 /**
- * Audit middleware function
- * Intercepts requests and logs write operations
+ * Create an audit middleware
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Every callback is optional and falls back to the default behaviour
+ * of the exported `auditMiddleware`.
+ * 
+ * @param {Object} [options={}]
+ * @param {string[]} [options.methods=['POST','PUT','PATCH','DELETE']] - HTTP methods to log
+ * @param {string[]} [options.include] - Route globs to log (default: all), e.g. ['/api/**']
+ * @param {string[]} [options.exclude] - Route globs never to log, e.g. ['/api/health']
+ * @param {Function} [options.skip] - (req) => boolean, true skips auditing this request
+ * @param {Function} [options.getActor] - (req) => { id, name, role, email }
+ * @param {Function} [options.getAction] - (req) => action string
+ * @param {Function} [options.getResource] - (req, responseBody) => { type, id, name }
+ * @param {Function} [options.getMetadata] - (req, res) => object merged into metadata
+ * @param {Function} [options.getTenant] - (req) => tenant ID (default: AUDIT_TENANT_SOURCE)
+ * @param {string|string[]} [options.trustedProxies] - Proxies whose forwarding headers are believed
+ *   (default: AUDIT_TRUSTED_PROXIES), e.g. 'loopback,10.0.0.0/8'
+ * @returns {Function} Express middleware
+ * 
+ * @example
+ * app.use('/api', createAuditMiddleware({
+ *     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+ *     exclude: ['/api/health', '/api/metrics/**'],
+ *     getActor: req => ({ id: req.auth.sub, name: req.auth.name, role: req.auth.scope }),
+ *     skip: req => req.get('x-internal-probe') === '1'
+ * }));
  */
-function auditMiddleware(req, res, next) {
-    const startTime = Date.now();
+function createAuditMiddleware(options = {}) {
+    const methods = (options.methods || DEFAULT_METHODS).map(method => method.toUpperCase());
+    const include = (options.include || []).map(compileRoutePattern);
+    const exclude = (options.exclude || []).map(compileRoutePattern);
+    const getActor = options.getActor || defaultGetActor;
+    const getAction = options.getAction || defaultGetAction;
+    const getResource = options.getResource || (() => ({}));
+    const getMetadata = options.getMetadata || (() => ({}));
+    const getTenant = options.getTenant || resolveTenant;
+    const isTrusted = options.trustedProxies !== undefined ? compileTrustedProxies(options.trustedProxies) : undefined;
     
-    // Store original response methods
-    const originalJson = res.json.bind(res);
-    const originalSend = res.send.bind(res);
-    
-    let responseBody = null;
-    let responseSent = false;
-    
-    // Override res.json to capture response
-    res.json = function(data) {
-        responseBody = data;
-        responseSent = true;
-        return originalJson(data);
-    };
-    
-    // Override res.send to capture response
-    res.send = function(data) {
-        if (!responseSent) {
+    /**
+     * Audit middleware function
+     * Intercepts requests and logs the configured operations
+     * 
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next function
+     */
+    return function auditMiddleware(req, res, next) {
+        const startTime = Date.now();
+        
+        // Request context (utils/auditContext), if its middleware ran first -
+        // passed explicitly since rows may be logged after the request is over
+        const context = getContext();
+        
+        // Full path including the mount point (e.g. /api/functions/123)
+        const fullPath = getFullPath(req);
+        
+        // GETs of opted-in routes are audited even when GET is not in `methods`
+        const readRule = req.method === 'GET' ? resolveReadRule(fullPath) : null;
+        
+        if ((!methods.includes(req.method) && !readRule)
+            || (include.length > 0 && !include.some(matches => matches(fullPath)))
+            || exclude.some(matches => matches(fullPath))
+            || (options.skip && options.skip(req))) {
+            return next();
+        }
+        
+        const capture = CAPTURE_MODES[resolveCaptureMode(fullPath)];
+        
+        // Before/after snapshots are payloads too - only taken in full mode
+        // (req.route is not known yet, so the concrete path names the resource)
+        const pathResource = leafResource(parseResourcePath(fullPath));
+        const loader = capture.bodies ? resourceLoaders.get(pathResource.type) : undefined;
+        let oldValue;
+        
+        // Store original response methods
+        const originalJson = res.json.bind(res);
+        const originalSend = res.send.bind(res);
+        
+        let responseBody = null;
+        let responseSent = false;
+        
+        // Override res.json to capture response
+        res.json = function(data) {
             responseBody = data;
             responseSent = true;
-        }
-        return originalSend(data);
-    };
-    
-    // Log after response is sent
-    res.on('finish', () => {
-        // Only log write operations
-        if (['POST', 'PUT', 'DELETE', 'PATCH'].includes(req.method)) {
-            
-            const action = mapMethodToAction(req.method);
-            const resourceType = extractResourceType(req.path);
-            const resourceId = extractResourceId(req, responseBody);
-            
-            auditLogger.log({
-                // User information
-                agentId: req.user?.id || req.session?.userId || 'anonymous',
-                agentName: req.user?.name || req.session?.userName || 'Anonymous',
-                agentRole: req.user?.role || req.session?.userRole || 'guest',
-                agentEmail: req.user?.email || '',
-                
-                // Action details
-                action: action,
-                resourceType: resourceType,
-                resourceId: resourceId,
-                resourceName: responseBody?.name || req.body?.name || '',
+            return originalJson(data);
+        };
+        
+        // Override res.send to capture response
+        res.send = function(data) {
+            if (!responseSent) {
+                responseBody = data;
+                responseSent = true;
+            }
+            return originalSend(data);
+        };
+        
+        // Log after response is sent
+        res.on('finish', () => {
+            try {
+                const actor = getActor(req) || {};
+                const route = resolveRoute(req);
+                const client = resolveClientIp(req, isTrusted);
+                const resource = {
+                    ...defaultGetResource(req, responseBody, route),
+                    ...getResource(req, responseBody)
+                };
                 
-                // Request context
-                ipAddress: req.ip || req.connection.remoteAddress || '0.0.0.0',
-                endpoint: req.path,
-                httpMethod: req.method
-            }, {
-                // Response metadata
-                statusCode: res.statusCode,
-                responseTime: Date.now() - startTime,
+                // New state comes from the response; a DELETE leaves nothing behind
+                const newValue = loader && req.method !== 'DELETE' ? responseBody : undefined;
                 
-                // Request/Response data
-                requestBody: sanitizeForLogging(req.body),
-                responseBody: sanitizeForLogging(responseBody),
-                requestHeaders: {
-                    'content-type': req.get('content-type'),
-                    'user-agent': req.get('user-agent'),
-                    'origin': req.get('origin')
-                },
+                const data = {
+                    tenantId: getTenant(req) || '',
+                    
+                    // User information
+                    agentId: actor.id || 'anonymous',
+                    agentName: actor.name || 'Anonymous',
+                    agentRole: actor.role || 'guest',
+                    agentEmail: actor.email || '',
+                    
+                    // Action details
+                    action: getAction(req) || mapMethodToAction(req.method),
+                    resourceType: resource.type,
+                    resourceId: resource.id,
+                    resourceName: resource.name,
+                    
+                    // Request context
+                    ipAddress: client.ip,
+                    forwardedChain: client.chain,
+                    endpoint: fullPath,
+                    httpMethod: req.method
+                };
                 
-                // Additional context
-                userAgent: req.get('user-agent'),
-                sessionId: req.sessionID || req.session?.id || '',
-                requestId: req.id || req.headers['x-request-id'] || '',
+                const options = {
+                    // Response metadata
+                    statusCode: res.statusCode,
+                    responseTime: Date.now() - startTime,
+                    
+                    // Request/Response data, as allowed by the route's capture mode
+                    // (redacted centrally by the logger's redaction policy)
+                    requestBody: capture.bodies ? describeBody(req.body) : undefined,
+                    responseBody: capture.bodies && !readRule?.skipResponseBody ? describeBody(responseBody) : undefined,
+                    
+                    // Change tracking (only for types with a registered loader)
+                    oldValue: oldValue,
+                    newValue: newValue,
+                    requestHeaders: capture.headers ? {
+                        'content-type': req.get('content-type'),
+                        'content-length': req.get('content-length'),
+                        'user-agent': req.get('user-agent'),
+                        'origin': req.get('origin')
+                    } : undefined,
+                    responseHeaders: capture.headers ? {
+                        'content-type': res.get('content-type'),
+                        'content-length': res.get('content-length')
+                    } : undefined,
+                    
+                    // Additional context
+                    userAgent: req.get('user-agent'),
+                    sessionId: req.sessionID || req.session?.id || '',
+                    requestId: req.id || req.headers['x-request-id'] || '',
+                    traceId: context?.traceId,
+                    spanId: context?.spanId,
+                    
+                    // Metadata (route template and resource chain are kept in every mode)
+                    metadata: capture.metadata ? {
+                        route: route.template,
+                        resources: route.resources,
+                        queryParams: req.query,
+                        pathParams: req.params,
+                        url: req.originalUrl,
+                        ...getMetadata(req, res)
+                    } : {
+                        route: route.template,
+                        resources: route.resources
+                    }
+                };
                 
-                // Metadata
-                metadata: {
-                    queryParams: req.query,
-                    pathParams: req.params,
-                    url: req.originalUrl
+                if (readRule) {
+                    recordRead(readRule, data, options);
+                } else {
+                    auditLogger.log(data, options);
                 }
-            });
+            } catch (error) {
+                // A faulty custom extractor must not crash the response cycle
+                console.error(`❌ Audit middleware failed for ${req.method} ${fullPath}: ${error.message}`);
+            }
+        });
+        
+        // Snapshot the record before the handler changes it
+        if (!loader || !SNAPSHOT_METHODS.includes(req.method) || !pathResource.id) {
+            return next();
         }
+        
+        Promise.resolve()
+            .then(() => loader(pathResource.id, req))
+            .then(snapshot => {
+                oldValue = snapshot;
+            })
+            .catch(error => {
+                // Never block the request because the audit snapshot failed
+                console.error(`⚠️  Resource loader for "${pathResource.type}" failed: ${error.message}`);
+            })
+            .then(() => next());
+    };
+}
+
+/**
+ * Default actor: req.user, then the session
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Object} { id, name, role, email }
+ */
+function defaultGetActor(req) {
+    return {
+        id: req.user?.id || req.session?.userId,
+        name: req.user?.name || req.session?.userName,
+        role: req.user?.role || req.session?.userRole,
+        email: req.user?.email
+    };
+}
+
+/**
+ * Default action: mapped from the HTTP method
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string} Action type
+ */
+function defaultGetAction(req) {
+    return mapMethodToAction(req.method);
+}
+
+/**
+ * Default resource: the leaf of the route's resource chain
+ * 
+ * @param {Object} req - Express request object
+ * @param {*} responseBody - Response data
+ * @param {Object} route - Result of resolveRoute()
+ * @returns {Object} { type, id, name }
+ */
+function defaultGetResource(req, responseBody, route) {
+    const leaf = leafResource(route.resources);
+    return {
+        type: leaf.type,
+        id: leaf.id || extractResourceId(req, responseBody),
+        name: responseBody?.name || req.body?.name || ''
+    };
+}
+
+/**
+ * Full request path without the query string
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string} Path including any mount point
+ */
+function getFullPath(req) {
+    return (req.originalUrl || req.url).split('?')[0];
+}
+
+/**
+ * Register a loader that returns the current state of a resource.
+ * Called before PUT/PATCH/DELETE handlers run so the audit log can
+ * record the before-state (old_value); the response becomes new_value.
+ * 
+ * @param {string} resourceType - Resource type as it appears in the URL (e.g. 'functions')
+ * @param {Function} loader - (id, req) => record | Promise<record>
+ */
+function registerResourceLoader(resourceType, loader) {
+    if (typeof loader !== 'function') {
+        throw new TypeError('Resource loader must be a function');
+    }
+    resourceLoaders.set(resourceType, loader);
+}
+
+/**
+ * Set how much of a request is stored for matching routes
+ * 
+ * - full: bodies, headers and metadata (default, or AUDIT_CAPTURE_MODE)
+ * - headers-only: headers and metadata, no bodies
+ * - metadata-only: query/path params and URL only
+ * - none: the audit event without any payload
+ * 
+ * @param {string} pattern - Route glob on the full path, e.g. '/api/uploads/**'
+ * @param {string} mode - One of the modes above
+ */
+function setCaptureMode(pattern, mode) {
+    if (!CAPTURE_MODES[mode]) {
+        throw new Error(`Unknown capture mode "${mode}" (expected: ${Object.keys(CAPTURE_MODES).join(', ')})`);
+    }
+    captureRules.push({ matches: compileRoutePattern(pattern), mode });
+}
+
+/**
+ * Capture mode for a path
+ * 
+ * @param {string} path - Full URL path
+ * @returns {string} Capture mode
+ */
+function resolveCaptureMode(path) {
+    const rule = captureRules.find(candidate => candidate.matches(path));
+    return rule ? rule.mode : defaultCaptureMode;
+}
+
+/**
+ * Audit GETs of matching routes as READ events
+ * 
+ * GET is otherwise not logged (unless listed in a middleware's `methods`).
+ * Repeated reads of the same resource by the same agent (same endpoint and
+ * status) within `dedupeWindow` ms are logged once, when the window closes,
+ * with the count in `metadata.read`. Sampling keeps each read - or each
+ * window's row - with probability `sampleRate`; the rate is recorded in
+ * `metadata.read` so counts can be scaled back up.
+ * 
+ * @param {string} pattern - Route glob on the full path, e.g. '/api/users/*'
+ * @param {Object} [options={}]
+ * @param {number} [options.sampleRate=1] - 0-1 (default: AUDIT_READ_SAMPLE_RATE)
+ * @param {number} [options.dedupeWindow=0] - ms, 0 logs every read (default: AUDIT_READ_DEDUPE_WINDOW)
+ * @param {boolean} [options.skipResponseBody=false] - Don't store what was read
+ *   (default: AUDIT_READ_SKIP_RESPONSE_BODY)
+ */
+function setReadAuditing(pattern, options = {}) {
+    const rule = { ...READ_DEFAULTS, ...options };
+    
+    if (!(rule.sampleRate >= 0 && rule.sampleRate <= 1)) {
+        throw new Error(`Read sampleRate must be between 0 and 1, got ${options.sampleRate}`);
+    }
+    if (!(Number.isFinite(rule.dedupeWindow) && rule.dedupeWindow >= 0)) {
+        throw new Error(`Read dedupeWindow must be a number of milliseconds, got ${options.dedupeWindow}`);
+    }
+    
+    readRules.push({
+        matches: compileRoutePattern(pattern),
+        sampleRate: rule.sampleRate,
+        dedupeWindow: rule.dedupeWindow,
+        skipResponseBody: Boolean(rule.skipResponseBody)
     });
+}
+
+/**
+ * READ auditing rule for a path
+ * 
+ * @param {string} path - Full URL path
+ * @returns {Object|null} Rule, or null when GETs of the path are not audited
+ */
+function resolveReadRule(path) {
+    return readRules.find(candidate => candidate.matches(path)) || null;
+}
+
+/**
+ * Log a read now, or count it in its de-duplication window
+ * 
+ * A sampled window keeps only the row built from the first read - already
+ * redacted and timed at that read - until it closes.
+ * 
+ * @param {Object} rule - From setReadAuditing()
+ * @param {Object} data - auditLogger.log() data
+ * @param {Object} options - auditLogger.log() options
+ * @private
+ */
+function recordRead(rule, data, options) {
+    const now = new Date().toISOString();
+    
+    if (rule.dedupeWindow === 0) {
+        if (Math.random() < rule.sampleRate) {
+            const row = auditLogger.formatEntry(data, options);
+            logRead({ rule, row, count: 1, firstReadAt: row.event_time, lastReadAt: row.event_time });
+        }
+        return;
+    }
+    
+    const key = JSON.stringify([
+        data.tenantId, data.agentId, data.endpoint, options.statusCode, data.resourceType, data.resourceId
+    ]);
     
-    next();
+    const open = readWindows.get(key);
+    if (open) {
+        open.count++;
+        open.lastReadAt = now;
+        return;
+    }
+    
+    // Keep memory bounded: close the oldest window early
+    if (readWindows.size >= MAX_READ_WINDOWS) {
+        closeReadWindow(readWindows.keys().next().value);
+    }
+    
+    // Sampled once per window so repeats don't get another chance
+    const row = Math.random() < rule.sampleRate ? auditLogger.formatEntry(data, options) : null;
+    const firstReadAt = row ? row.event_time : now;
+    const window = { rule, row, count: 1, firstReadAt, lastReadAt: firstReadAt };
+    window.timer = setTimeout(() => closeReadWindow(key), rule.dedupeWindow);
+    window.timer.unref();
+    readWindows.set(key, window);
+}
+
+/**
+ * @private
+ */
+function closeReadWindow(key) {
+    const window = readWindows.get(key);
+    readWindows.delete(key);
+    clearTimeout(window.timer);
+    
+    if (window.row) {
+        logRead(window);
+    }
+}
+
+/**
+ * Log every open window's read (on shutdown)
+ * @private
+ */
+function flushReadWindows() {
+    for (const key of [...readWindows.keys()]) {
+        closeReadWindow(key);
+    }
+}
+
+/**
+ * Add the read counts to a formatted row's metadata and log it
+ * @private
+ */
+function logRead({ rule, row, count, firstReadAt, lastReadAt }) {
+    let metadata;
+    try {
+        metadata = JSON.parse(row.metadata);
+    } catch (e) {
+        // Cut down by the field size limit
+        metadata = {};
+    }
+    row.metadata = JSON.stringify({
+        ...metadata,
+        read: { count, firstReadAt, lastReadAt, sampleRate: rule.sampleRate }
+    });
+    auditLogger.logFormatted(row);
+}
+
+/**
+ * Replace binary bodies with a description instead of serializing bytes
+ * 
+ * @param {*} body - Request or response body
+ * @returns {*} Body, or { _binary, bytes } for Buffers
+ */
+function describeBody(body) {
+    if (Buffer.isBuffer(body)) {
+        return { _binary: true, bytes: body.length };
+    }
+    return body;
 }
 
 /**
@@ -129,70 +549,134 @@ function mapMethodToAction(method) {
 }
 
 /**
- * Extract resource type from URL path
+ * Resolve the route template that handled a request and the resources it names
+ * 
+ * The template is req.baseUrl + req.route.path. Express only exposes the
+ * concrete baseUrl, so mount-path segments are mapped back to `:param`
+ * where a router was mounted with mergeParams. Requests no route matched
+ * (404s, responses from plain middleware) fall back to the concrete path.
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Object} { template, resources: [{ type, id }] } - template is null without a matched route
+ * 
+ * @example
+ * // app.use('/api/projects/:projectId', router) with mergeParams
+ * // router.put('/functions/:id', ...)  PUT /api/projects/p1/functions/f1
+ * resolveRoute(req);
+ * // {
+ * //   template: '/api/projects/:projectId/functions/:id',
+ * //   resources: [{ type: 'projects', id: 'p1' }, { type: 'functions', id: 'f1' }]
+ * // }
+ */
+function resolveRoute(req) {
+    if (!req.route || typeof req.route.path !== 'string') {
+        return { template: null, resources: parseResourcePath(getFullPath(req)) };
+    }
+    
+    const params = req.params || {};
+    const base = (req.baseUrl || '').split('/').map(segment => {
+        const name = Object.keys(params).find(key => params[key] === safeDecode(segment) && segment !== '');
+        return name ? `:${name}` : segment;
+    }).join('/');
+    
+    const template = `${base}${req.route.path === '/' ? '' : req.route.path}` || '/';
+    return { template, resources: parseResourceTemplate(template, params) };
+}
+
+/**
+ * Read the resource chain out of a route template
+ * 
+ * A literal segment followed by a `:param` is a resource with that param
+ * as its ID. A trailing literal is the collection the request targets
+ * (e.g. POST /projects/:projectId/functions). Other literals (`api`, `v2`)
+ * are namespaces.
+ * 
+ * @param {string} template - e.g. /api/projects/:projectId/functions/:id
+ * @param {Object} params - req.params
+ * @returns {Array<{type: string, id: string}>}
+ */
+function parseResourceTemplate(template, params) {
+    const segments = template.split('/').filter(Boolean);
+    const resources = [];
+    
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i].startsWith(':')) continue;
+        
+        const next = segments[i + 1];
+        if (next && next.startsWith(':')) {
+            // Strip modifiers and inline patterns: ':id?', ':id(\\d+)'
+            const name = next.slice(1).replace(/\(.*$/, '').replace(/[?*+]$/, '');
+            resources.push({ type: segments[i], id: params[name] === undefined ? '' : String(params[name]) });
+            i++;
+        } else if (i === segments.length - 1) {
+            resources.push({ type: segments[i], id: '' });
+        }
+    }
+    
+    return resources;
+}
+
+/**
+ * Read the resource chain out of a concrete path (no route template known)
  * 
- * @param {string} path - URL path
- * @returns {string} Resource type
+ * Segments after an optional `api` / version prefix alternate between
+ * type and ID: /api/projects/p1/functions/f1.
+ * 
+ * @param {string} path - Full URL path
+ * @returns {Array<{type: string, id: string}>}
  */
-function extractResourceType(path) {
-    // Match patterns like /api/functions, /api/users, etc.
-    const match = path.match(/\/api\/([^\/]+)/);
-    return match ? match[1] : 'unknown';
+function parseResourcePath(path) {
+    const segments = path.split('/').filter(Boolean).map(safeDecode);
+    
+    while (segments.length > 0 && (segments[0] === 'api' || /^v\d+$/.test(segments[0]))) {
+        segments.shift();
+    }
+    
+    const resources = [];
+    for (let i = 0; i < segments.length; i += 2) {
+        resources.push({ type: segments[i], id: segments[i + 1] || '' });
+    }
+    return resources;
 }
 
 /**
- * Extract resource ID from request
+ * Last resource of a chain
+ * 
+ * @param {Array<{type: string, id: string}>} resources
+ * @returns {{type: string, id: string}}
+ */
+function leafResource(resources) {
+    return resources[resources.length - 1] || { type: 'unknown', id: '' };
+}
+
+/**
+ * Resource ID when the route does not name one (e.g. a create)
  * 
  * @param {Object} req - Express request object
  * @param {*} responseBody - Response data
- * @returns {string} Resource ID
+ * @returns {string} Resource ID, or '' when there is none
  */
 function extractResourceId(req, responseBody) {
-    // Try to get ID from various sources
-    return req.params.id 
-        || req.body?.id 
-        || responseBody?.id 
-        || req.query.id 
-        || 'unknown';
+    const id = req.body?.id ?? responseBody?.id ?? req.query?.id;
+    return id === undefined || id === null ? '' : String(id);
 }
 
 /**
- * Sanitize data for logging (remove sensitive fields)
- * 
- * @param {*} data - Data to sanitize
- * @returns {Object|string} Sanitized data
+ * @private
  */
-function sanitizeForLogging(data) {
-    if (!data) return '';
-    
+function safeDecode(segment) {
     try {
-        const cloned = JSON.parse(JSON.stringify(data));
-        
-        // Remove sensitive fields
-        const sensitiveFields = [
-            'password', 'token', 'secret', 'apiKey', 'api_key',
-            'creditCard', 'ssn', 'privateKey', 'accessToken',
-            'refreshToken', 'authorization'
-        ];
-        
-        function removeSensitive(obj) {
-            if (typeof obj !== 'object' || obj === null) return;
-            
-            for (const key in obj) {
-                if (sensitiveFields.some(field => key.toLowerCase().includes(field.toLowerCase()))) {
-                    obj[key] = '***REDACTED***';
-                } else if (typeof obj[key] === 'object') {
-                    removeSensitive(obj[key]);
-                }
-            }
-        }
-        
-        removeSensitive(cloned);
-        return cloned;
-        
+        return decodeURIComponent(segment);
     } catch (e) {
-        return String(data);
+        return segment;
     }
 }
 
+// Default configuration: log writes, actor from req.user / req.session
+const auditMiddleware = createAuditMiddleware();
+
 module.exports = auditMiddleware;
+module.exports.createAuditMiddleware = createAuditMiddleware;
+module.exports.registerResourceLoader = registerResourceLoader;
+module.exports.setCaptureMode = setCaptureMode;
+module.exports.setReadAuditing = setReadAuditing;
@@ -0,0 +1,83 @@
+-- ============================================
+-- Audit log tables (baseline schema)
+-- ============================================
+-- audit_logs_local holds the rows on each shard; audit_logs is the table
+-- the application reads and writes (Distributed on clusters, Merge on a
+-- single node).
+
+CREATE DATABASE IF NOT EXISTS {{database}} {{on_cluster}};
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_logs_local {{on_cluster}} (
+    -- ==========================================
+    -- TIMESTAMP FIELDS
+    -- ==========================================
+    event_time DateTime64(3) DEFAULT now64(3),
+    event_date Date DEFAULT toDate(event_time),
+    
+    -- ==========================================
+    -- AGENT/USER INFORMATION
+    -- ==========================================
+    agent_id String,
+    agent_name String,
+    agent_role LowCardinality(String) DEFAULT 'user',
+    agent_email String DEFAULT '',
+    
+    -- ==========================================
+    -- ACTION DETAILS
+    -- ==========================================
+    action LowCardinality(String),
+    resource_type LowCardinality(String),
+    resource_id String,
+    resource_name String DEFAULT '',
+    
+    -- ==========================================
+    -- REQUEST CONTEXT
+    -- ==========================================
+    ip_address IPv4,
+    endpoint String,
+    http_method LowCardinality(String) DEFAULT 'GET',
+    status_code UInt16 DEFAULT 200,
+    response_time_ms UInt32 DEFAULT 0,
+    
+    -- ==========================================
+    -- REQUEST/RESPONSE DATA
+    -- ==========================================
+    request_body String DEFAULT '',
+    response_body String DEFAULT '',
+    request_headers String DEFAULT '{}',
+    response_headers String DEFAULT '{}',
+    
+    -- ==========================================
+    -- CHANGE TRACKING
+    -- ==========================================
+    old_value String DEFAULT '',
+    new_value String DEFAULT '',
+    
+    -- ==========================================
+    -- ADDITIONAL CONTEXT
+    -- ==========================================
+    user_agent String DEFAULT '',
+    session_id String DEFAULT '',
+    request_id String DEFAULT '',
+    error_message String DEFAULT '',
+    metadata String DEFAULT '{}',
+    
+    -- ==========================================
+    -- INDEXES FOR FAST LOOKUPS
+    -- ==========================================
+    INDEX idx_agent_id agent_id TYPE bloom_filter(0.01) GRANULARITY 1,
+    INDEX idx_resource_id resource_id TYPE bloom_filter(0.01) GRANULARITY 1,
+    INDEX idx_action action TYPE set(0) GRANULARITY 1
+    
+) ENGINE = MergeTree()
+PARTITION BY toYYYYMM(event_date)
+ORDER BY (event_date, agent_id, action, event_time)
+TTL event_date + INTERVAL 2 YEAR
+SETTINGS 
+    index_granularity = 8192,
+    merge_with_ttl_timeout = 3600;
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_logs {{on_cluster}}
+AS {{database}}.audit_logs_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_logs_local, sipHash64(agent_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_logs_local$');{{/cluster}}
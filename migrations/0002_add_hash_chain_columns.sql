@@ -0,0 +1,16 @@
+-- ============================================
+-- Hash chain columns (tamper evidence)
+-- ============================================
+-- Local tables first, then the table the application writes to.
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS chain_id String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS chain_seq UInt64 DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS prev_hash String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS row_hash String DEFAULT '';
+
+ALTER TABLE {{database}}.audit_logs {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS chain_id String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS chain_seq UInt64 DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS prev_hash String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS row_hash String DEFAULT '';
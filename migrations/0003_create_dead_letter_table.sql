@@ -0,0 +1,29 @@
+-- ============================================
+-- Dead-letter table
+-- ============================================
+-- Rows ClickHouse rejected (e.g. values that don't fit a column).
+-- Every state change inserts a new version; query with FINAL.
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_logs_dlq_local {{on_cluster}} (
+    id UUID,
+    failed_at DateTime64(3) DEFAULT now64(3),
+    updated_at DateTime64(3) DEFAULT now64(3),
+    status LowCardinality(String) DEFAULT 'pending',   -- pending | replayed | purged
+    attempts UInt32 DEFAULT 1,
+    error_message String DEFAULT '',
+    payload String DEFAULT '',                          -- original row as JSON
+    
+    -- Copied from the payload for listing
+    agent_id String DEFAULT '',
+    action LowCardinality(String) DEFAULT '',
+    resource_type LowCardinality(String) DEFAULT '',
+    resource_id String DEFAULT ''
+    
+) ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY id
+TTL toDateTime(updated_at) + INTERVAL 30 DAY DELETE WHERE status != 'pending';
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_logs_dlq {{on_cluster}}
+AS {{database}}.audit_logs_dlq_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_logs_dlq_local, cityHash64(id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_logs_dlq_local$');{{/cluster}}
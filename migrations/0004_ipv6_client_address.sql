@@ -0,0 +1,14 @@
+-- ============================================
+-- IPv6 client addresses and forwarded chain
+-- ============================================
+-- Existing IPv4 addresses become IPv4-mapped IPv6 (::ffff:a.b.c.d).
+-- Apply before deploying an application version that writes IPv6 -
+-- the old IPv4 column rejects those rows.
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    MODIFY COLUMN ip_address IPv6,
+    ADD COLUMN IF NOT EXISTS forwarded_chain String DEFAULT '' AFTER ip_address;
+
+ALTER TABLE {{database}}.audit_logs {{on_cluster}}
+    MODIFY COLUMN ip_address IPv6,
+    ADD COLUMN IF NOT EXISTS forwarded_chain String DEFAULT '' AFTER ip_address;
@@ -0,0 +1,21 @@
+-- ============================================
+-- Application users
+-- ============================================
+-- Created only when CLICKHOUSE_WRITER_PASSWORD / CLICKHOUSE_READER_PASSWORD
+-- are set when this migration runs. Passwords are sent as SHA-256 hashes.
+
+{{#writer_password_sha256}}
+CREATE USER IF NOT EXISTS audit_writer {{on_cluster}}
+IDENTIFIED WITH sha256_hash BY '{{writer_password_sha256}}'
+SETTINGS readonly = 0;
+
+GRANT {{on_cluster}} INSERT, SELECT ON {{database}}.* TO audit_writer;
+{{/writer_password_sha256}}
+
+{{#reader_password_sha256}}
+CREATE USER IF NOT EXISTS audit_reader {{on_cluster}}
+IDENTIFIED WITH sha256_hash BY '{{reader_password_sha256}}'
+SETTINGS readonly = 1;
+
+GRANT {{on_cluster}} SELECT ON {{database}}.* TO audit_reader;
+{{/reader_password_sha256}}
@@ -0,0 +1,69 @@
+-- ============================================
+-- Tenant isolation
+-- ============================================
+-- Adds tenant_id, leads the sort key with it and shards by it.
+-- ClickHouse can't prepend a column to ORDER BY, so audit_logs_local is
+-- rebuilt: rows are copied into a new table that is then swapped in.
+--
+-- Stop the writers while this runs - rows inserted during the copy are
+-- lost with the old table. EXCHANGE TABLES needs an Atomic database (the
+-- default since ClickHouse 20.10). Existing rows get tenant_id ''; only new
+-- rows are sharded by tenant.
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS tenant_id LowCardinality(String) DEFAULT '' FIRST;
+
+ALTER TABLE {{database}}.audit_logs {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS tenant_id LowCardinality(String) DEFAULT '' FIRST;
+
+-- Left over from a failed run
+DROP TABLE IF EXISTS {{database}}.audit_logs_rebuild {{on_cluster}} SYNC;
+
+DROP TABLE IF EXISTS {{database}}.audit_logs_local_rebuild {{on_cluster}} SYNC;
+
+CREATE TABLE {{database}}.audit_logs_local_rebuild {{on_cluster}}
+AS {{database}}.audit_logs_local
+ENGINE = MergeTree()
+PARTITION BY toYYYYMM(event_date)
+ORDER BY (tenant_id, event_date, agent_id, action, event_time)
+TTL event_date + INTERVAL 2 YEAR
+SETTINGS
+    index_granularity = 8192,
+    merge_with_ttl_timeout = 3600;
+
+{{#cluster}}
+-- Existing rows all have tenant_id '' - keep spreading them by agent as before
+CREATE TABLE {{database}}.audit_logs_rebuild {{on_cluster}}
+AS {{database}}.audit_logs_local_rebuild
+ENGINE = Distributed('{{cluster}}', {{database}}, audit_logs_local_rebuild, sipHash64(agent_id));
+
+INSERT INTO {{database}}.audit_logs_rebuild
+SETTINGS insert_distributed_sync = 1
+SELECT * FROM cluster('{{cluster}}', {{database}}, audit_logs_local);
+
+DROP TABLE {{database}}.audit_logs_rebuild {{on_cluster}} SYNC;
+{{/cluster}}
+{{^cluster}}
+INSERT INTO {{database}}.audit_logs_local_rebuild
+SELECT * FROM {{database}}.audit_logs_local;
+{{/cluster}}
+
+EXCHANGE TABLES {{database}}.audit_logs_local AND {{database}}.audit_logs_local_rebuild {{on_cluster}};
+
+DROP TABLE {{database}}.audit_logs_local_rebuild {{on_cluster}} SYNC;
+
+{{#cluster}}
+-- New sharding expression: a tenant's rows live on one shard
+DROP TABLE IF EXISTS {{database}}.audit_logs {{on_cluster}} SYNC;
+
+CREATE TABLE {{database}}.audit_logs {{on_cluster}}
+AS {{database}}.audit_logs_local
+ENGINE = Distributed('{{cluster}}', {{database}}, audit_logs_local, sipHash64(tenant_id));
+{{/cluster}}
+
+-- Dead letters keep the tenant so they are listed and replayed per tenant
+ALTER TABLE {{database}}.audit_logs_dlq_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS tenant_id LowCardinality(String) DEFAULT '' AFTER payload;
+
+ALTER TABLE {{database}}.audit_logs_dlq {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS tenant_id LowCardinality(String) DEFAULT '' AFTER payload;
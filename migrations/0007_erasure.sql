@@ -0,0 +1,49 @@
+-- ============================================
+-- Erasure (GDPR) and legal holds
+-- ============================================
+-- Rows pseudonymized by an erasure job carry its ID in erasure_id, so
+-- verify:chain can tell them apart from tampering. Tables named in
+-- AUDIT_TENANT_ROUTES need the column too.
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS erasure_id String DEFAULT '';
+
+ALTER TABLE {{database}}.audit_logs {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS erasure_id String DEFAULT '';
+
+-- One version per state change; query with FINAL
+CREATE TABLE IF NOT EXISTS {{database}}.audit_erasures_local {{on_cluster}} (
+    id UUID,
+    tenant_id LowCardinality(String) DEFAULT '',
+    agent_id String,
+    mode LowCardinality(String),                        -- pseudonymize | remove
+    body_fields Array(String) DEFAULT [],               -- JSON keys erased in bodies ([] = whole bodies)
+    status LowCardinality(String) DEFAULT 'running',    -- running | completed | failed
+    requested_by String DEFAULT '',
+    reason String DEFAULT '',
+    error_message String DEFAULT '',
+    created_at DateTime64(3) DEFAULT now64(3),
+    updated_at DateTime64(3) DEFAULT now64(3)
+) ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY id;
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_erasures {{on_cluster}}
+AS {{database}}.audit_erasures_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_erasures_local, cityHash64(id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_erasures_local$');{{/cluster}}
+
+-- Agents whose rows must not be erased; one version per change, query with FINAL
+CREATE TABLE IF NOT EXISTS {{database}}.audit_legal_holds_local {{on_cluster}} (
+    tenant_id LowCardinality(String) DEFAULT '',
+    agent_id String,
+    active UInt8 DEFAULT 1,
+    reason String DEFAULT '',
+    placed_by String DEFAULT '',
+    updated_at DateTime64(3) DEFAULT now64(3)
+) ENGINE = ReplacingMergeTree(updated_at)
+ORDER BY (tenant_id, agent_id);
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_legal_holds {{on_cluster}}
+AS {{database}}.audit_legal_holds_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_legal_holds_local, cityHash64(tenant_id, agent_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_legal_holds_local$');{{/cluster}}
@@ -0,0 +1,139 @@
+-- ============================================
+-- Hourly activity rollups
+-- ============================================
+-- Materialized views aggregate every insert into audit_logs_local into
+-- hourly AggregatingMergeTree rollups read by /admin/audit-analytics:
+--   audit_activity_hourly          events by agent, action and resource_type
+--   audit_endpoint_latency_hourly  requests and response_time_ms quantiles by endpoint
+--   audit_status_hourly            events by endpoint and status class (2xx, 4xx, ...)
+--
+-- Existing rows are backfilled before the views are created, and only
+-- while a rollup is still empty so a re-run doesn't count them twice.
+-- Stop the writers while this runs - rows inserted between the backfill
+-- and the view creation are missing from the rollups. Tables from
+-- AUDIT_TENANT_ROUTES are not rolled up.
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_activity_hourly_local {{on_cluster}} (
+    tenant_id LowCardinality(String),
+    hour DateTime,
+    agent_id String,
+    action LowCardinality(String),
+    resource_type LowCardinality(String),
+    events SimpleAggregateFunction(sum, UInt64)
+) ENGINE = AggregatingMergeTree()
+PARTITION BY toYYYYMM(hour)
+ORDER BY (tenant_id, hour, agent_id, action, resource_type)
+TTL hour + INTERVAL 2 YEAR;
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_endpoint_latency_hourly_local {{on_cluster}} (
+    tenant_id LowCardinality(String),
+    hour DateTime,
+    endpoint String,
+    http_method LowCardinality(String),
+    requests SimpleAggregateFunction(sum, UInt64),
+    total_time_ms SimpleAggregateFunction(sum, UInt64),
+    max_time_ms SimpleAggregateFunction(max, UInt32),
+    latency AggregateFunction(quantilesTDigest(0.5, 0.95, 0.99), UInt32)
+) ENGINE = AggregatingMergeTree()
+PARTITION BY toYYYYMM(hour)
+ORDER BY (tenant_id, hour, endpoint, http_method)
+TTL hour + INTERVAL 2 YEAR;
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_status_hourly_local {{on_cluster}} (
+    tenant_id LowCardinality(String),
+    hour DateTime,
+    endpoint String,
+    http_method LowCardinality(String),
+    status_class LowCardinality(String),
+    events SimpleAggregateFunction(sum, UInt64)
+) ENGINE = AggregatingMergeTree()
+PARTITION BY toYYYYMM(hour)
+ORDER BY (tenant_id, hour, endpoint, http_method, status_class)
+TTL hour + INTERVAL 2 YEAR;
+
+-- Read tables, sharded like audit_logs
+CREATE TABLE IF NOT EXISTS {{database}}.audit_activity_hourly {{on_cluster}}
+AS {{database}}.audit_activity_hourly_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_activity_hourly_local, sipHash64(tenant_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_activity_hourly_local$');{{/cluster}}
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_endpoint_latency_hourly {{on_cluster}}
+AS {{database}}.audit_endpoint_latency_hourly_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_endpoint_latency_hourly_local, sipHash64(tenant_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_endpoint_latency_hourly_local$');{{/cluster}}
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_status_hourly {{on_cluster}}
+AS {{database}}.audit_status_hourly_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_status_hourly_local, sipHash64(tenant_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_status_hourly_local$');{{/cluster}}
+
+-- Backfill (skipped once a rollup has rows)
+{{#cluster}}
+INSERT INTO {{database}}.audit_activity_hourly
+SETTINGS insert_distributed_sync = 1
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, agent_id, action, resource_type, count() AS events
+FROM cluster('{{cluster}}', {{database}}, audit_logs_local)
+WHERE (SELECT count() FROM {{database}}.audit_activity_hourly) = 0
+GROUP BY tenant_id, hour, agent_id, action, resource_type;
+
+INSERT INTO {{database}}.audit_endpoint_latency_hourly
+SETTINGS insert_distributed_sync = 1
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    count() AS requests, sum(response_time_ms) AS total_time_ms, max(response_time_ms) AS max_time_ms,
+    quantilesTDigestState(0.5, 0.95, 0.99)(response_time_ms) AS latency
+FROM cluster('{{cluster}}', {{database}}, audit_logs_local)
+WHERE (SELECT count() FROM {{database}}.audit_endpoint_latency_hourly) = 0
+GROUP BY tenant_id, hour, endpoint, http_method;
+
+INSERT INTO {{database}}.audit_status_hourly
+SETTINGS insert_distributed_sync = 1
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    concat(toString(intDiv(status_code, 100)), 'xx') AS status_class, count() AS events
+FROM cluster('{{cluster}}', {{database}}, audit_logs_local)
+WHERE (SELECT count() FROM {{database}}.audit_status_hourly) = 0
+GROUP BY tenant_id, hour, endpoint, http_method, status_class;
+{{/cluster}}
+{{^cluster}}
+INSERT INTO {{database}}.audit_activity_hourly_local
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, agent_id, action, resource_type, count() AS events
+FROM {{database}}.audit_logs_local
+WHERE (SELECT count() FROM {{database}}.audit_activity_hourly_local) = 0
+GROUP BY tenant_id, hour, agent_id, action, resource_type;
+
+INSERT INTO {{database}}.audit_endpoint_latency_hourly_local
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    count() AS requests, sum(response_time_ms) AS total_time_ms, max(response_time_ms) AS max_time_ms,
+    quantilesTDigestState(0.5, 0.95, 0.99)(response_time_ms) AS latency
+FROM {{database}}.audit_logs_local
+WHERE (SELECT count() FROM {{database}}.audit_endpoint_latency_hourly_local) = 0
+GROUP BY tenant_id, hour, endpoint, http_method;
+
+INSERT INTO {{database}}.audit_status_hourly_local
+SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    concat(toString(intDiv(status_code, 100)), 'xx') AS status_class, count() AS events
+FROM {{database}}.audit_logs_local
+WHERE (SELECT count() FROM {{database}}.audit_status_hourly_local) = 0
+GROUP BY tenant_id, hour, endpoint, http_method, status_class;
+{{/cluster}}
+
+-- One view per rollup, on every shard's audit_logs_local
+CREATE MATERIALIZED VIEW IF NOT EXISTS {{database}}.audit_activity_hourly_mv {{on_cluster}}
+TO {{database}}.audit_activity_hourly_local
+AS SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, agent_id, action, resource_type, count() AS events
+FROM {{database}}.audit_logs_local
+GROUP BY tenant_id, hour, agent_id, action, resource_type;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS {{database}}.audit_endpoint_latency_hourly_mv {{on_cluster}}
+TO {{database}}.audit_endpoint_latency_hourly_local
+AS SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    count() AS requests, sum(response_time_ms) AS total_time_ms, max(response_time_ms) AS max_time_ms,
+    quantilesTDigestState(0.5, 0.95, 0.99)(response_time_ms) AS latency
+FROM {{database}}.audit_logs_local
+GROUP BY tenant_id, hour, endpoint, http_method;
+
+CREATE MATERIALIZED VIEW IF NOT EXISTS {{database}}.audit_status_hourly_mv {{on_cluster}}
+TO {{database}}.audit_status_hourly_local
+AS SELECT tenant_id, toStartOfHour(toDateTime(event_time)) AS hour, endpoint, http_method,
+    concat(toString(intDiv(status_code, 100)), 'xx') AS status_class, count() AS events
+FROM {{database}}.audit_logs_local
+GROUP BY tenant_id, hour, endpoint, http_method, status_class;
@@ -0,0 +1,17 @@
+-- ============================================
+-- W3C trace context
+-- ============================================
+-- Trace and span IDs from the request context (see utils/auditContext),
+-- hashed from chain version v4. Tables named in AUDIT_TENANT_ROUTES need
+-- the columns too. The index only covers parts written from now on.
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS trace_id String DEFAULT '' AFTER request_id,
+    ADD COLUMN IF NOT EXISTS span_id String DEFAULT '' AFTER trace_id;
+
+ALTER TABLE {{database}}.audit_logs {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS trace_id String DEFAULT '' AFTER request_id,
+    ADD COLUMN IF NOT EXISTS span_id String DEFAULT '' AFTER trace_id;
+
+ALTER TABLE {{database}}.audit_logs_local {{on_cluster}}
+    ADD INDEX IF NOT EXISTS idx_trace_id trace_id TYPE bloom_filter(0.01) GRANULARITY 1;
@@ -0,0 +1,17 @@
+-- ============================================
+-- Dead-letter replay provenance
+-- ============================================
+-- A replay records which columns its fixes changed, their values before
+-- the fix and the row_hash the row was sealed with, so verify:chain can
+-- check that a replayed row differs from the sealed one in those columns
+-- only.
+
+ALTER TABLE {{database}}.audit_logs_dlq_local {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS original_hash String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS fixed_fields Array(String) DEFAULT [],
+    ADD COLUMN IF NOT EXISTS original_values String DEFAULT '{}';
+
+ALTER TABLE {{database}}.audit_logs_dlq {{on_cluster}}
+    ADD COLUMN IF NOT EXISTS original_hash String DEFAULT '',
+    ADD COLUMN IF NOT EXISTS fixed_fields Array(String) DEFAULT [],
+    ADD COLUMN IF NOT EXISTS original_values String DEFAULT '{}';
@@ -0,0 +1,12 @@
+-- ============================================
+-- Dead-letter retention
+-- ============================================
+-- verify:chain explains gaps and fixed rows in audit_logs with purged
+-- tombstones and replayed entries, so keep every entry as long as
+-- audit_logs keeps its rows. The old TTL removed non-pending entries
+-- after 30 days, and dropping only the newest version of an entry could
+-- bring back an older pending one. failed_at is the same in every
+-- version, so all versions of an entry now expire together.
+
+ALTER TABLE {{database}}.audit_logs_dlq_local {{on_cluster}}
+    MODIFY TTL toDateTime(failed_at) + INTERVAL 2 YEAR;
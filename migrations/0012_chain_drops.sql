@@ -0,0 +1,22 @@
+-- ============================================
+-- Chain positions dropped by the logger
+-- ============================================
+-- Rows are sealed into the hash chain before the overflow policy (or a
+-- rejection with no dead-letter table) can drop them. The logger records
+-- the dropped positions as ranges so verify:chain can tell these gaps
+-- from deleted rows. Kept as long as audit_logs rows.
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_chain_drops_local {{on_cluster}} (
+    chain_id String,
+    first_seq UInt64,
+    last_seq UInt64,
+    reason LowCardinality(String),                      -- drop_oldest | drop_newest | low_priority | rejected | ...
+    dropped_at DateTime64(3) DEFAULT now64(3)
+) ENGINE = MergeTree()
+ORDER BY (chain_id, first_seq)
+TTL toDateTime(dropped_at) + INTERVAL 2 YEAR;
+
+CREATE TABLE IF NOT EXISTS {{database}}.audit_chain_drops {{on_cluster}}
+AS {{database}}.audit_chain_drops_local
+{{#cluster}}ENGINE = Distributed('{{cluster}}', {{database}}, audit_chain_drops_local, cityHash64(chain_id));{{/cluster}}
+{{^cluster}}ENGINE = Merge({{database}}, '^audit_chain_drops_local$');{{/cluster}}
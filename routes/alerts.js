@@ -0,0 +1,47 @@
+/**
+ * Alert Rule Admin Routes
+ *
+ * Mounted at /admin/audit-alerts.
+ *
+ * GET /admin/audit-alerts/rules       Configured rules and how many groups each is tracking
+ * GET /admin/audit-alerts/firings     Recent firings, newest first (?rule=&limit=50)
+ *
+ * Firings are listed for the caller's tenant only.
+ *
+ * @module routes/alerts
+ */
+
+const express = require('express');
+const auditLogger = require('../utils/auditLogger');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+/**
+ * List alert rules
+ */
+router.get('/rules', (req, res) => {
+    const rules = auditLogger.alerts.listRules();
+    res.json({ status: 'ok', count: rules.length, rules });
+});
+
+/**
+ * Recent alert firings
+ */
+router.get('/firings', (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const firings = auditLogger.alerts.recentFirings({
+        rule: req.query.rule || undefined,
+        tenantId: req.tenantId,
+        limit
+    });
+    res.json({ status: 'ok', count: firings.length, firings });
+});
+
+module.exports = router;
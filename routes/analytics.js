@@ -0,0 +1,86 @@
+/**
+ * Audit Analytics Routes
+ *
+ * Summaries read from the hourly rollups (see utils/auditAnalytics).
+ * Mounted at /admin/audit-analytics.
+ *
+ * GET /admin/audit-analytics/top-agents          Most active agents (?action=&resource_type=&limit=10)
+ * GET /admin/audit-analytics/busiest-resources   Resource types by events (?action=&agent_id=&limit=10)
+ * GET /admin/audit-analytics/error-trends        4xx/5xx per interval (?interval=hour&endpoint_prefix=&http_method=)
+ * GET /admin/audit-analytics/latency             Response time quantiles per interval (?interval=hour&endpoint=&endpoint_prefix=&http_method=)
+ *
+ * All take from and to (ISO-8601, default: the last 24 hours).
+ * Results are limited to the caller's tenant (see utils/tenant).
+ *
+ * @module routes/analytics
+ */
+
+const express = require('express');
+const auditAnalytics = require('../utils/auditAnalytics');
+const { InvalidFilterError } = require('../utils/auditQuery');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+/**
+ * Most active agents
+ */
+router.get('/top-agents', async (req, res) => {
+    try {
+        const { rows, ...range } = await auditAnalytics.topAgents(req.tenantId, req.query);
+        res.json({ status: 'ok', ...range, count: rows.length, agents: rows });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Busiest resource types
+ */
+router.get('/busiest-resources', async (req, res) => {
+    try {
+        const { rows, ...range } = await auditAnalytics.busiestResources(req.tenantId, req.query);
+        res.json({ status: 'ok', ...range, count: rows.length, resources: rows });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Error counts and rate over time
+ */
+router.get('/error-trends', async (req, res) => {
+    try {
+        const { rows, ...range } = await auditAnalytics.errorTrends(req.tenantId, req.query);
+        res.json({ status: 'ok', ...range, count: rows.length, buckets: rows });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Response time over time
+ */
+router.get('/latency', async (req, res) => {
+    try {
+        const { rows, ...range } = await auditAnalytics.latency(req.tenantId, req.query);
+        res.json({ status: 'ok', ...range, count: rows.length, buckets: rows });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Send a query error - 400 for bad filters, 500 otherwise
+ * @private
+ */
+function sendError(res, error) {
+    if (error instanceof InvalidFilterError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+module.exports = router;
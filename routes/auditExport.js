@@ -0,0 +1,112 @@
+/**
+ * Audit Log Export Routes
+ *
+ * Mounted at /admin/audit-export.
+ *
+ * GET /admin/audit-export                   Stream matching rows as a file download
+ * GET /admin/audit-export/manifests/:id     Manifest of a finished export
+ *
+ * Takes the search filters (agent_id, action, resource_type, resource_id,
+ * status_min, status_max, endpoint_prefix, ip, from, to, q) plus
+ * format (csv | ndjson | parquet), columns, redact and hash (comma-separated
+ * column lists). Only the caller's tenant is exported.
+ *
+ * The manifest (row count, byte count, SHA-256) is sent as HTTP trailers
+ * and kept in AUDIT_EXPORT_MANIFEST_DIR.
+ *
+ * @module routes/auditExport
+ *
+ * @example
+ * curl -OJ 'http://localhost:3000/admin/audit-export?format=csv&agent_id=user_123&from=2025-01-01&to=2025-04-01'
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { InvalidFilterError } = require('../utils/auditQuery');
+const { FORMATS, exportLogs } = require('../utils/auditExport');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+const MANIFEST_DIR = process.env.AUDIT_EXPORT_MANIFEST_DIR || './data/exports';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requireTenant);
+
+/**
+ * Stream an export
+ */
+router.get('/', async (req, res) => {
+    const { format = 'ndjson', columns, redact, hash, ...filters } = req.query;
+    const id = crypto.randomUUID();
+
+    // Cancel the ClickHouse query when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+
+    if (FORMATS[format]) {
+        res.setHeader('Content-Type', FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="audit-export-${id}.${FORMATS[format].extension}"`);
+        res.setHeader('X-Export-Id', id);
+        res.setHeader('Trailer', 'X-Export-Rows, X-Export-SHA256');
+    }
+
+    try {
+        const manifest = await exportLogs(req.tenantId, filters, res, {
+            id,
+            format,
+            columns,
+            redact,
+            hash,
+            signal: controller.signal,
+            end: false
+        });
+
+        res.addTrailers({ 'X-Export-Rows': String(manifest.rows), 'X-Export-SHA256': manifest.sha256 });
+        res.end();
+
+        await fs.promises.mkdir(MANIFEST_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(MANIFEST_DIR, `${id}.json`), JSON.stringify(manifest, null, 2));
+        console.log(`📦 Export ${id}: ${manifest.rows} rows (${manifest.format}, ${manifest.bytes} bytes)`);
+    } catch (error) {
+        if (res.headersSent) {
+            // Mid-stream - a truncated download must not look complete
+            console.error(`❌ Export ${id} failed: ${error.message}`);
+            res.destroy(error);
+            return;
+        }
+        ['Content-Type', 'Content-Disposition', 'X-Export-Id', 'Trailer'].forEach(header => res.removeHeader(header));
+        res.status(error instanceof InvalidFilterError ? error.statusCode : 500).json({ error: error.message });
+    }
+});
+
+/**
+ * Manifest of a finished export
+ */
+router.get('/manifests/:id', async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid export id' });
+    }
+
+    try {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(MANIFEST_DIR, `${req.params.id}.json`), 'utf8'));
+        if (manifest.tenantId !== req.tenantId) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        res.json({ status: 'ok', manifest });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Audit Log Read Routes
+ *
+ * Mounted at /admin/audit-logs.
+ *
+ * GET /admin/audit-logs                           Search with filters and cursor pagination
+ * GET /admin/audit-logs/resources/:type/:id       Change history of one resource
+ *
+ * Filters: agent_id, action, resource_type, resource_id, request_id,
+ * trace_id, status_min, status_max, endpoint_prefix, ip (address or CIDR,
+ * IPv4 or IPv6), from, to, q, limit, cursor
+ *
+ * Results are limited to the caller's tenant (see utils/tenant).
+ *
+ * @module routes/auditLogs
+ */
+
+const express = require('express');
+const auditQuery = require('../utils/auditQuery');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+/**
+ * Search audit logs
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { rows, nextCursor } = await auditQuery.search(req.tenantId, req.query);
+        res.json({
+            status: 'ok',
+            count: rows.length,
+            nextCursor,
+            logs: rows
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Change history of one resource with field-level diffs
+ * (?field=config.timeout&from=&to=&limit=)
+ */
+router.get('/resources/:type/:id', async (req, res) => {
+    try {
+        const entries = await auditQuery.history(req.tenantId, req.params.type, req.params.id, req.query);
+        res.json({
+            status: 'ok',
+            resourceType: req.params.type,
+            resourceId: req.params.id,
+            count: entries.length,
+            history: entries
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Send a query error - 400 for bad filters, 500 otherwise
+ * @private
+ */
+function sendError(res, error) {
+    if (error instanceof auditQuery.InvalidFilterError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+module.exports = router;
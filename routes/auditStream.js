@@ -0,0 +1,48 @@
+/**
+ * Live Audit Stream Route
+ *
+ * Mounted at /admin/audit-stream.
+ *
+ * GET /admin/audit-stream     Server-Sent Events of rows as they are logged
+ *
+ * Filters (comma-separated lists): agent_id, action, resource_type,
+ * status (classes such as 4xx,5xx). Only the caller's tenant is streamed.
+ *
+ * @module routes/auditStream
+ *
+ * @example
+ * curl -N 'http://localhost:3000/admin/audit-stream?action=DELETE&status=4xx,5xx'
+ */
+
+const express = require('express');
+const auditLogger = require('../utils/auditLogger');
+const { InvalidFilterError } = require('../utils/auditQuery');
+const { compileStreamFilter } = require('../utils/auditStream');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+/**
+ * Subscribe to the live stream
+ */
+router.get('/', (req, res) => {
+    let filter;
+    try {
+        filter = compileStreamFilter(req.query, req.tenantId);
+    } catch (error) {
+        if (error instanceof InvalidFilterError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    if (!auditLogger.stream.hasCapacity()) {
+        return res.status(503).json({ error: 'Too many live stream subscribers, try again later' });
+    }
+
+    auditLogger.stream.subscribe(res, { filter });
+});
+
+module.exports = router;
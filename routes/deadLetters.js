@@ -0,0 +1,133 @@
+/**
+ * Dead-Letter Admin Routes
+ *
+ * Inspect and resolve audit rows that ClickHouse rejected.
+ * Mounted at /admin/audit-dlq. Callers only see their own tenant's entries.
+ *
+ * GET    /admin/audit-dlq                  List entries (?status=pending&limit=100)
+ * GET    /admin/audit-dlq/:id              Inspect one entry with its payload
+ * POST   /admin/audit-dlq/:id/replay       Apply { fixes } to the payload and re-insert
+ *                                           (content columns only; chain columns are sealed)
+ * DELETE /admin/audit-dlq/:id              Purge one entry
+ * POST   /admin/audit-dlq/purge            Purge { ids: [...] }
+ *
+ * @module routes/deadLetters
+ */
+
+const express = require('express');
+const deadLetterQueue = require('../utils/deadLetterQueue');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const STATUSES = ['pending', 'replayed', 'purged'];
+
+/**
+ * Reject malformed entry IDs before they reach ClickHouse
+ */
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid dead-letter id' });
+    }
+    next();
+});
+
+/**
+ * List dead-lettered entries
+ */
+router.get('/', async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    try {
+        const entries = await deadLetterQueue.list(req.tenantId, { status, limit: req.query.limit });
+        res.json({ status: 'ok', count: entries.length, entries });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Purge several entries
+ */
+router.post('/purge', async (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    if (ids.length === 0 || !ids.every(id => UUID_PATTERN.test(id))) {
+        return res.status(400).json({ error: 'Body must contain a non-empty "ids" array of dead-letter ids' });
+    }
+
+    try {
+        const purged = await deadLetterQueue.purge(req.tenantId, ids);
+        res.json({ status: 'ok', purged });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Inspect one entry
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const entry = await deadLetterQueue.get(req.tenantId, req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Dead-letter entry not found' });
+        }
+        res.json({ status: 'ok', entry });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Fix and replay one entry
+ */
+router.post('/:id/replay', async (req, res) => {
+    const fixes = req.body?.fixes || {};
+    if (typeof fixes !== 'object' || Array.isArray(fixes)) {
+        return res.status(400).json({ error: '"fixes" must be an object of column values' });
+    }
+
+    try {
+        const existing = await deadLetterQueue.get(req.tenantId, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Dead-letter entry not found' });
+        }
+        if (existing.status !== 'pending') {
+            return res.status(409).json({ error: `Entry is already ${existing.status}` });
+        }
+
+        const entry = await deadLetterQueue.replay(req.tenantId, req.params.id, fixes);
+        res.status(entry.status === 'replayed' ? 200 : 422).json({
+            status: entry.status === 'replayed' ? 'ok' : 'failed',
+            entry
+        });
+    } catch (error) {
+        if (error instanceof deadLetterQueue.DeadLetterError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Purge one entry
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const purged = await deadLetterQueue.purge(req.tenantId, [req.params.id]);
+        if (purged === 0) {
+            return res.status(404).json({ error: 'Dead-letter entry not found' });
+        }
+        res.json({ status: 'ok', purged });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
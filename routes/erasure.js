@@ -0,0 +1,158 @@
+/**
+ * Erasure (GDPR) Admin Routes
+ *
+ * Erase an agent's personal data from the caller's tenant, follow the
+ * job, and manage legal holds. Mounted at /admin/audit-erasure.
+ *
+ * POST   /admin/audit-erasure                  Start a job { agentId, mode, fields, reason } (202)
+ * GET    /admin/audit-erasure                  List jobs (?agent_id=&status=&limit=100)
+ * GET    /admin/audit-erasure/:id              Job with mutation progress on every shard
+ * GET    /admin/audit-erasure/holds            Active legal holds
+ * PUT    /admin/audit-erasure/holds/:agentId   Place a hold { reason }
+ * DELETE /admin/audit-erasure/holds/:agentId   Release a hold
+ *
+ * The requester (req.user.id) is recorded on jobs and holds.
+ *
+ * @module routes/erasure
+ */
+
+const express = require('express');
+const erasure = require('../utils/erasure');
+const { requireTenant } = require('../utils/tenant');
+
+const router = express.Router();
+
+router.use(requireTenant);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reject malformed job IDs before they reach ClickHouse
+ */
+router.param('id', (req, res, next, id) => {
+    if (!UUID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Invalid erasure id' });
+    }
+    next();
+});
+
+/**
+ * Start an erasure job
+ */
+router.post('/', async (req, res) => {
+    const { agentId, mode, fields, reason } = req.body || {};
+    if (typeof agentId !== 'string' || agentId.trim() === '') {
+        return res.status(400).json({ error: 'Body must contain an "agentId" string' });
+    }
+
+    try {
+        const job = await erasure.erase(req.tenantId, agentId, {
+            mode,
+            fields,
+            reason,
+            requestedBy: requester(req)
+        });
+        res.status(job.status === 'failed' ? 500 : 202).json({
+            status: job.status === 'failed' ? 'failed' : 'accepted',
+            job
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * List erasure jobs
+ */
+router.get('/', async (req, res) => {
+    try {
+        const jobs = await erasure.listJobs(req.tenantId, {
+            agentId: req.query.agent_id,
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        res.json({ status: 'ok', count: jobs.length, jobs });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Active legal holds
+ */
+router.get('/holds', async (req, res) => {
+    try {
+        const holds = await erasure.listHolds(req.tenantId);
+        res.json({ status: 'ok', count: holds.length, holds });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Place a legal hold
+ */
+router.put('/holds/:agentId', async (req, res) => {
+    try {
+        const hold = await erasure.placeHold(req.tenantId, req.params.agentId, {
+            reason: req.body?.reason,
+            placedBy: requester(req)
+        });
+        res.json({ status: 'ok', hold });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Release a legal hold
+ */
+router.delete('/holds/:agentId', async (req, res) => {
+    try {
+        const released = await erasure.releaseHold(req.tenantId, req.params.agentId, {
+            placedBy: requester(req)
+        });
+        if (!released) {
+            return res.status(404).json({ error: 'No active legal hold for this agent' });
+        }
+        res.json({ status: 'ok', released });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Job status
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await erasure.getJob(req.tenantId, req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Erasure job not found' });
+        }
+        res.json({ status: 'ok', job });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * Who is asking - recorded on jobs and holds
+ * @private
+ */
+function requester(req) {
+    return String(req.user?.id || req.session?.userId || '');
+}
+
+/**
+ * Send an erasure error - 400 for bad requests, 409 for legal holds, 500 otherwise
+ * @private
+ */
+function sendError(res, error) {
+    if (error instanceof erasure.ErasureError) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+}
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * Export Audit Logs
+ *
+ * Streams matching audit rows from ClickHouse into a file (CSV, NDJSON or
+ * Parquet) and writes `<file>.manifest.json` next to it with the filters,
+ * row count and SHA-256 of the file.
+ *
+ * Usage: npm run export -- --out <file> [options]
+ * or: node scripts/export-logs.js --out <file> [options]
+ *
+ * Options:
+ *   --out <file>               Output file (required)
+ *   --format <format>          csv | ndjson | parquet (default: from the file extension, else ndjson)
+ *   --tenant <id>              Tenant to export (default: '' - single-tenant)
+ *   --columns <a,b,...>        Columns to include (default: all)
+ *   --redact <a,b,...>         Columns replaced by ***REDACTED***
+ *   --hash <a,b,...>           Columns replaced by their HMAC-SHA256 keyed with AUDIT_REDACTION_HMAC_KEY
+ *                              (refused when the key is unset)
+ *   --from, --to, --agent_id, --action, --resource_type, --resource_id,
+ *   --status_min, --status_max, --endpoint_prefix, --ip, --q
+ *                              Filters, as in the search API
+ *
+ * Example:
+ *   npm run export -- --out q1-user_123.csv --agent_id user_123 --from 2025-01-01 --to 2025-04-01
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { FORMATS, exportLogs } = require('../utils/auditExport');
+
+const OPTIONS = ['out', 'format', 'tenant', 'columns', 'redact', 'hash'];
+
+/**
+ * Parse --name value / --name=value arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return args;
+}
+
+async function run() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.out) {
+        console.error('Usage: npm run export -- --out <file> [--format csv|ndjson|parquet] [filters]');
+        process.exit(1);
+    }
+
+    const extension = path.extname(args.out).slice(1).toLowerCase();
+    const format = args.format || (FORMATS[extension] ? extension : 'ndjson');
+
+    const filters = {};
+    for (const [name, value] of Object.entries(args)) {
+        if (!OPTIONS.includes(name)) {
+            filters[name] = value;
+        }
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('📦 Exporting Audit Logs');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    console.log(`   Output: ${args.out} (${format})`);
+    if (args.tenant) console.log(`   Tenant: ${args.tenant}`);
+
+    const startTime = Date.now();
+    const partial = `${args.out}.partial`;
+
+    try {
+        const manifest = await exportLogs(args.tenant || '', filters, fs.createWriteStream(partial), {
+            format,
+            columns: args.columns,
+            redact: args.redact,
+            hash: args.hash
+        });
+
+        // Only a complete export gets the final name
+        fs.renameSync(partial, args.out);
+        fs.writeFileSync(`${args.out}.manifest.json`, JSON.stringify({ ...manifest, file: path.basename(args.out) }, null, 2));
+
+        console.log(`   Rows: ${manifest.rows.toLocaleString()}`);
+        console.log(`   Bytes: ${manifest.bytes.toLocaleString()}`);
+        console.log(`   SHA-256: ${manifest.sha256}`);
+        console.log(`   Duration: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+        console.log(`   Manifest: ${args.out}.manifest.json\n`);
+        process.exit(0);
+    } catch (error) {
+        fs.rmSync(partial, { force: true });
+        throw error;
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,323 @@
+/**
+ * ClickHouse Schema Migrations
+ *
+ * Applies the numbered SQL files in migrations/ (`0001_name.sql`, ...) in
+ * order and records each one in `<database>.schema_migrations`.
+ *
+ * Migration files are templates:
+ *   {{database}}            CLICKHOUSE_DATABASE (default audit_db)
+ *   {{cluster}}             CLICKHOUSE_CLUSTER (empty for single-node)
+ *   {{on_cluster}}          ON CLUSTER '<cluster>', or nothing on single-node
+ *   {{#name}}...{{/name}}   Kept only when `name` is set
+ *   {{^name}}...{{/name}}   Kept only when `name` is empty
+ * plus writer_password_sha256 / reader_password_sha256, hashed from
+ * CLICKHOUSE_WRITER_PASSWORD / CLICKHOUSE_READER_PASSWORD.
+ *
+ * Statements are separated by `;` at the end of a line and run one at a
+ * time. Write them idempotently (IF NOT EXISTS, ADD COLUMN IF NOT EXISTS):
+ * a migration that fails halfway is recorded as failed and re-run from the
+ * top next time. Alter `audit_logs_local` before the Distributed table.
+ *
+ * DDL needs more rights than the application user has; set
+ * CLICKHOUSE_MIGRATION_USER / CLICKHOUSE_MIGRATION_PASSWORD to use
+ * another account.
+ *
+ * Usage: npm run migrate -- [command] [options]
+ * or: node scripts/migrate.js [command] [options]
+ *
+ * Commands:
+ *   up (default)     Apply pending migrations
+ *   status           List migrations and whether they are applied
+ *
+ * Options:
+ *   --dry-run        Print the rendered SQL, change nothing. Doesn't connect to
+ *                    ClickHouse, so every migration (up to --to) is printed,
+ *                    applied or not
+ *   --to <version>   Stop after this version
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@clickhouse/client');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+const database = process.env.CLICKHOUSE_DATABASE || 'audit_db';
+const cluster = process.env.CLICKHOUSE_CLUSTER || '';
+
+const variables = {
+    database,
+    cluster,
+    on_cluster: cluster ? `ON CLUSTER '${cluster}'` : '',
+    writer_password_sha256: sha256(process.env.CLICKHOUSE_WRITER_PASSWORD),
+    reader_password_sha256: sha256(process.env.CLICKHOUSE_READER_PASSWORD)
+};
+
+// No default database: the first migration creates it
+const client = createClient({
+    url: `${process.env.CLICKHOUSE_URL || 'http://localhost'}:${parseInt(process.env.CLICKHOUSE_PORT || '8123')}`,
+    username: process.env.CLICKHOUSE_MIGRATION_USER || process.env.CLICKHOUSE_USER || 'default',
+    password: process.env.CLICKHOUSE_MIGRATION_PASSWORD || process.env.CLICKHOUSE_PASSWORD || '',
+    // Column type changes rewrite data parts
+    request_timeout: 600000,
+    clickhouse_settings: {
+        // Wait for ALTER mutations on all replicas before the next statement
+        mutations_sync: 2
+    }
+});
+
+/**
+ * Parse a command and --name value / --name=value / --flag arguments
+ */
+function parseArgs(argv) {
+    const args = { command: 'up' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) {
+            args.command = argv[i];
+        } else if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+/**
+ * Migration files, ordered by version
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => FILE_PATTERN.test(file))
+        .map(file => {
+            const [, version, name] = file.match(FILE_PATTERN);
+            const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            return {
+                version: Number(version),
+                name,
+                file,
+                source,
+                checksum: crypto.createHash('sha256').update(source).digest('hex')
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * Render a migration template into statements
+ */
+function render(source) {
+    let sql = source.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, name, body) => {
+        assertVariable(name);
+        return Boolean(variables[name]) === (type === '#') ? body : '';
+    });
+
+    sql = sql.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        assertVariable(name);
+        return variables[name];
+    });
+
+    return sql
+        .split(/;[ \t]*(?:\r?\n|$)/)
+        .map(statement => {
+            // Drop leading comments (file headers, section banners)
+            const lines = statement.split('\n');
+            while (lines.length > 0 && (lines[0].trim() === '' || lines[0].trim().startsWith('--'))) {
+                lines.shift();
+            }
+            return lines.join('\n').trim();
+        })
+        .filter(Boolean);
+}
+
+function assertVariable(name) {
+    if (!(name in variables)) {
+        throw new Error(`Unknown template variable {{${name}}}`);
+    }
+}
+
+/**
+ * Create the database and the tracking table
+ */
+async function ensureMigrationsTable() {
+    await client.command({ query: `CREATE DATABASE IF NOT EXISTS ${database} ${variables.on_cluster}` });
+    await client.command({
+        query: `
+            CREATE TABLE IF NOT EXISTS ${database}.schema_migrations ${variables.on_cluster} (
+                version UInt32,
+                name String,
+                checksum String,
+                status LowCardinality(String),      -- applied | failed
+                statements UInt32 DEFAULT 0,
+                error_message String DEFAULT '',
+                applied_at DateTime64(3) DEFAULT now64(3)
+            )
+            ENGINE = ${cluster
+                // One replica set across the cluster: every node sees the same history
+                ? `ReplicatedReplacingMergeTree('/clickhouse/${database}/schema_migrations', '{shard}-{replica}', applied_at)`
+                : 'ReplacingMergeTree(applied_at)'}
+            ORDER BY version`
+    });
+}
+
+/**
+ * Latest record per version (empty when the table doesn't exist yet)
+ */
+async function loadApplied() {
+    const exists = await client.query({
+        query: 'SELECT count() AS count FROM system.tables WHERE database = {database:String} AND name = \'schema_migrations\'',
+        query_params: { database },
+        format: 'JSONEachRow'
+    });
+    if (Number((await exists.json())[0].count) === 0) {
+        return new Map();
+    }
+
+    const resultSet = await client.query({
+        query: `SELECT * FROM ${database}.schema_migrations FINAL ORDER BY version`,
+        format: 'JSONEachRow'
+    });
+    return new Map((await resultSet.json()).map(row => [Number(row.version), row]));
+}
+
+async function record(migration, status, statements, errorMessage = '') {
+    await client.insert({
+        table: `${database}.schema_migrations`,
+        values: [{
+            version: migration.version,
+            name: migration.name,
+            checksum: migration.checksum,
+            status,
+            statements,
+            error_message: errorMessage
+        }],
+        format: 'JSONEachRow'
+    });
+}
+
+async function status(migrations, applied) {
+    console.log(`   Database: ${database}`);
+    console.log(`   Cluster: ${cluster || '(single-node)'}\n`);
+
+    for (const migration of migrations) {
+        const entry = applied.get(migration.version);
+        let state = '⏳ pending';
+        if (entry && entry.status === 'applied') {
+            state = entry.checksum === migration.checksum
+                ? `✅ applied ${entry.applied_at}`
+                : `⚠️  applied ${entry.applied_at}, file changed since`;
+        } else if (entry) {
+            state = `❌ failed ${entry.applied_at}: ${entry.error_message}`;
+        }
+        console.log(`   ${migration.file.padEnd(40)} ${state}`);
+    }
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const [version, entry] of applied) {
+        if (!known.has(version)) {
+            console.log(`   ${`${version} ${entry.name}`.padEnd(40)} ⚠️  recorded as ${entry.status}, file missing`);
+        }
+    }
+    console.log('');
+}
+
+async function up(migrations, applied, { dryRun, to }) {
+    const pending = migrations.filter(migration =>
+        applied.get(migration.version)?.status !== 'applied' && (to === undefined || migration.version <= to)
+    );
+
+    for (const migration of migrations) {
+        const entry = applied.get(migration.version);
+        if (entry?.status === 'applied' && entry.checksum !== migration.checksum) {
+            console.warn(`⚠️  ${migration.file} changed after it was applied - add a new migration instead`);
+        }
+    }
+
+    if (pending.length === 0) {
+        console.log('✅ Schema is up to date\n');
+        return;
+    }
+
+    if (!dryRun) {
+        await ensureMigrationsTable();
+    }
+
+    for (const migration of pending) {
+        const statements = render(migration.source);
+        console.log(`${dryRun ? '📝' : '🚀'} ${migration.file} (${statements.length} statement${statements.length === 1 ? '' : 's'})`);
+
+        if (dryRun) {
+            statements.forEach(statement => console.log(`\n${statement};`));
+            console.log('');
+            continue;
+        }
+
+        let executed = 0;
+        try {
+            for (const statement of statements) {
+                await client.command({ query: statement });
+                executed++;
+            }
+        } catch (error) {
+            await record(migration, 'failed', executed, error.message);
+            throw new Error(`${migration.file} failed at statement ${executed + 1}: ${error.message}`);
+        }
+
+        await record(migration, 'applied', executed);
+        console.log(`   ✅ applied`);
+    }
+    console.log('');
+}
+
+async function migrate() {
+    const args = parseArgs(process.argv.slice(2));
+    const to = args.to !== undefined ? Number(args.to) : undefined;
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🗄️  Schema Migrations${args['dry-run'] ? ' (dry run)' : ''}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    if (to !== undefined && !Number.isInteger(to)) {
+        throw new Error(`Invalid --to: ${args.to}`);
+    }
+
+    const migrations = loadMigrations();
+    // A dry run renders offline and treats every migration as pending
+    const offline = args.command === 'up' && Boolean(args['dry-run']);
+    const applied = offline ? new Map() : await loadApplied();
+
+    switch (args.command) {
+        case 'status':
+            await status(migrations, applied);
+            break;
+        case 'up':
+            await up(migrations, applied, { dryRun: Boolean(args['dry-run']), to });
+            break;
+        default:
+            throw new Error(`Unknown command "${args.command}" (use up or status)`);
+    }
+
+    await client.close();
+}
+
+function sha256(value) {
+    return value ? crypto.createHash('sha256').update(value).digest('hex') : '';
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
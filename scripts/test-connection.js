@@ -60,7 +60,9 @@ async function testConnection() {
             
             // Test 5: Test insert
             console.log('Test 5: Test insert...');
-            await clickhouse.insert('INSERT INTO audit_logs', [{
+            // audit_logs is a read-only Merge table on a single node
+            const insertTable = process.env.CLICKHOUSE_CLUSTER ? 'audit_logs' : 'audit_logs_local';
+            await clickhouse.insert(`INSERT INTO ${insertTable}`, [{
                 event_time: new Date().toISOString(),
                 event_date: new Date().toISOString().split('T')[0],
                 agent_id: 'test_' + Date.now(),
@@ -99,7 +101,7 @@ async function testConnection() {
             
         } else {
             console.log('⚠️  audit_logs table not found');
-            console.log('   Please run: clickhouse-client < scripts/setup-clickhouse.sql\n');
+            console.log('   Please run: npm run migrate\n');
         }
         
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -0,0 +1,61 @@
+/**
+ * Test the Export Hash
+ *
+ * Runs the HMAC-SHA256 expression that `npm run export -- --hash` uses
+ * in ClickHouse and compares it with Node's crypto.createHmac, so hashed
+ * exports join with redaction hashes and erasure pseudonyms. Needs a
+ * ClickHouse connection.
+ *
+ * Usage: npm run test:export-hash
+ * or: node scripts/test-export-hash.js
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { client } = require('../config/clickhouse');
+const { hmacExpression, hmacParams } = require('../utils/auditExport');
+
+// Short, block-sized and longer-than-a-block keys (long keys are hashed first)
+const KEYS = ['k', 'k'.repeat(64), 'k'.repeat(100), process.env.AUDIT_REDACTION_HMAC_KEY].filter(Boolean);
+const VALUES = ['', 'user_123', 'jane.doe@example.com', '::ffff:10.0.0.1', 'Zoë ✓'];
+
+async function testExportHash() {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🧪 Testing Export Hash (HMAC-SHA256 in ClickHouse)');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    let failures = 0;
+
+    for (const [index, key] of KEYS.entries()) {
+        const resultSet = await client.query({
+            query: `SELECT value, ${hmacExpression('value')} AS hash FROM (SELECT arrayJoin({values:Array(String)}) AS value)`,
+            query_params: { values: VALUES, ...hmacParams(key) },
+            format: 'JSONEachRow'
+        });
+
+        for (const { value, hash } of await resultSet.json()) {
+            const expected = crypto.createHmac('sha256', key).update(value).digest('hex');
+            const ok = hash === expected;
+            if (!ok) {
+                failures++;
+            }
+            console.log(`   ${ok ? '✅' : '❌'} key #${index + 1} (${Buffer.byteLength(key)} bytes)  ${JSON.stringify(value)}`);
+        }
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (failures === 0) {
+        console.log('✅ TEST PASSED!');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        process.exit(0);
+    } else {
+        console.log(`❌ TEST FAILED: ${failures} hash${failures === 1 ? '' : 'es'} differ from crypto.createHmac`);
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        process.exit(1);
+    }
+}
+
+testExportHash().catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+});
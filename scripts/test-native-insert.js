@@ -85,8 +85,9 @@ async function testBatchInsert() {
     const startTime = Date.now();
 
     // Insert data using JSONEachRow format
+    // audit_logs is a read-only Merge table on a single node
     const insertResult = await client.insert({
-      table: 'audit_logs',
+      table: process.env.CLICKHOUSE_CLUSTER ? 'audit_logs' : 'audit_logs_local',
       values: testData,
       format: 'JSONEachRow',
     });
@@ -0,0 +1,74 @@
+/**
+ * Test the Default Redaction Policy
+ *
+ * Runs sample payloads through DEFAULT_POLICY and checks which keys are
+ * masked. Needs no ClickHouse connection.
+ *
+ * Usage: npm run test:redaction
+ * or: node scripts/test-redaction.js
+ */
+
+const { RedactionPolicy, DEFAULT_POLICY } = require('../utils/redactionPolicy');
+
+const MASK = '***REDACTED***';
+
+// Keys that hold credentials, in the spellings clients actually send
+const MASKED = [
+    'password', 'currentPassword', 'newPassword', 'new_password', 'passwd',
+    'passwordConfirmation', 'password_confirmation', 'passwordHash', 'passwordHint',
+    'secret', 'webhookSecret', 'client_secret',
+    'token', 'sessionToken', 'access_token', 'refreshToken', 'id_token',
+    'apiKey', 'apikey', 'api_key', 'x-api-key', 'privateKey',
+    'authorization', 'Authorization', 'cookie', 'set-cookie'
+];
+
+// Keys that merely contain a credential word
+const KEPT = ['tokenCount', 'secretary', 'tokens', 'keyId'];
+
+function testRedaction() {
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🧪 Testing Default Redaction Policy');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    const policy = new RedactionPolicy(DEFAULT_POLICY, { hmacKey: 'test'.repeat(8) });
+    const body = {};
+    for (const key of [...MASKED, ...KEPT]) {
+        body[key] = 'value';
+    }
+
+    // Top level and nested
+    const row = policy.redactRow({
+        http_method: 'POST',
+        endpoint: '/api/users',
+        request_body: JSON.stringify(body),
+        new_value: JSON.stringify({ user: { settings: body } })
+    });
+    const results = [JSON.parse(row.request_body), JSON.parse(row.new_value).user.settings];
+
+    let failures = 0;
+    const check = (key, expected) => {
+        const ok = results.every(result => result[key] === expected);
+        if (!ok) {
+            failures++;
+        }
+        console.log(`   ${ok ? '✅' : '❌'} ${key.padEnd(22)} ${expected === MASK ? 'masked' : 'kept'}`);
+    };
+
+    console.log('Masked:');
+    MASKED.forEach(key => check(key, MASK));
+    console.log('\nKept:');
+    KEPT.forEach(key => check(key, 'value'));
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (failures === 0) {
+        console.log('✅ TEST PASSED!');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        process.exit(0);
+    } else {
+        console.log(`❌ TEST FAILED: ${failures} key${failures === 1 ? '' : 's'} handled wrongly`);
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        process.exit(1);
+    }
+}
+
+testRedaction();
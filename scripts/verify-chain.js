@@ -0,0 +1,405 @@
+/**
+ * Verify Audit Hash Chains
+ *
+ * Recomputes the hash chain of every audit row in a time range and reports
+ * exactly where a row was modified, deleted (sequence gap / broken link)
+ * or duplicated. Gaps explained by dead-lettered (or deliberately purged)
+ * rows or by rows the logger dropped under its overflow policy
+ * (audit_chain_drops), rows replayed
+ * from the dead-letter queue with fixes (that differ from the sealed row
+ * only in the columns the replay recorded) and rows changed by an erasure
+ * job (see utils/erasure) are reported separately.
+ *
+ * Optionally checks signed checkpoints, which also detect rows deleted
+ * from the end of a chain.
+ *
+ * A chain spans tenants, so tables from AUDIT_TENANT_ROUTES are read too.
+ *
+ * Usage: npm run verify:chain -- [options]
+ * or: node scripts/verify-chain.js [options]
+ *
+ * Options:
+ *   --from <ISO time>          Start of range (default: 24 hours ago)
+ *   --to <ISO time>            End of range, exclusive (default: now)
+ *   --chain <chain_id>         Only verify one chain
+ *   --checkpoints <file>       Signed checkpoint NDJSON file
+ *   --public-key <pem file>    Public key for checkpoint signatures
+ *
+ * Exits with code 1 when tampering is detected.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { client } = require('../config/clickhouse');
+const { GENESIS_HASH, hashRow, verifyRow, verifyCheckpoint } = require('../utils/auditChain');
+const { allTables } = require('../utils/tenant');
+
+/**
+ * Parse --name value / --name=value arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Load and verify signed checkpoints, grouped by chain
+ */
+function loadCheckpoints(file, publicKeyFile, issues) {
+    const checkpoints = new Map();
+    if (!file) return checkpoints;
+
+    if (!publicKeyFile) {
+        throw new Error('--public-key is required with --checkpoints');
+    }
+    const publicKey = fs.readFileSync(publicKeyFile, 'utf8');
+
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach((line, index) => {
+        const checkpoint = JSON.parse(line);
+        if (!verifyCheckpoint(checkpoint, publicKey)) {
+            issues.push({ type: 'bad_checkpoint_signature', chain: checkpoint.chain_id, seq: checkpoint.chain_seq, detail: `line ${index + 1} of ${file}` });
+            return;
+        }
+        if (!checkpoints.has(checkpoint.chain_id)) {
+            checkpoints.set(checkpoint.chain_id, new Map());
+        }
+        checkpoints.get(checkpoint.chain_id).set(Number(checkpoint.chain_seq), checkpoint);
+    });
+
+    return checkpoints;
+}
+
+/**
+ * Dead-letter entries for the given chains, keyed by chain_id:chain_seq
+ * (replayed entries with the payload and what their fixes changed)
+ */
+async function loadDeadLetters(chainIds) {
+    if (chainIds.length === 0) return new Map();
+
+    const resultSet = await client.query({
+        query: `
+            SELECT
+                JSONExtractString(payload, 'chain_id') AS chain_id,
+                JSONExtractUInt(payload, 'chain_seq') AS chain_seq,
+                status,
+                original_hash,
+                fixed_fields,
+                if(status = 'replayed', original_values, '') AS original_values,
+                if(status = 'replayed', payload, '') AS payload
+            FROM audit_logs_dlq FINAL
+            WHERE JSONExtractString(payload, 'chain_id') IN {chainIds:Array(String)}`,
+        query_params: { chainIds },
+        format: 'JSONEachRow'
+    });
+
+    const entries = new Map();
+    for (const entry of await resultSet.json()) {
+        entries.set(`${entry.chain_id}:${Number(entry.chain_seq)}`, entry);
+    }
+    return entries;
+}
+
+/**
+ * Ranges of chain positions the logger dropped, keyed by chain_id
+ */
+async function loadDrops(chainIds) {
+    if (chainIds.length === 0) return new Map();
+
+    const resultSet = await client.query({
+        query: `
+            SELECT chain_id, first_seq, last_seq, reason
+            FROM audit_chain_drops
+            WHERE chain_id IN {chainIds:Array(String)}`,
+        query_params: { chainIds },
+        format: 'JSONEachRow'
+    });
+
+    const drops = new Map();
+    for (const range of await resultSet.json()) {
+        if (!drops.has(range.chain_id)) {
+            drops.set(range.chain_id, []);
+        }
+        drops.get(range.chain_id).push({ first: Number(range.first_seq), last: Number(range.last_seq), reason: range.reason });
+    }
+    return drops;
+}
+
+/**
+ * Reason the logger dropped a chain position, or undefined
+ */
+function dropReason(drops, chainId, seq) {
+    return drops.get(chainId)?.find(range => seq >= range.first && seq <= range.last)?.reason;
+}
+
+/**
+ * Whether a replay explains a row's hash mismatch: the row is what was
+ * replayed, and putting back the values the fixes replaced gives the hash
+ * the row was sealed with
+ */
+function replayExplains(row, entry) {
+    if (!entry || entry.status !== 'replayed' || !entry.original_hash || entry.original_hash !== row.row_hash) {
+        return false;
+    }
+
+    try {
+        const replayed = JSON.parse(entry.payload);
+        const originalValues = JSON.parse(entry.original_values || '{}');
+        const version = entry.original_hash.split(':')[0];
+        if (entry.fixed_fields.some(field => !(field in originalValues))) {
+            return false;
+        }
+
+        return hashRow(row, version) === hashRow(replayed, version)
+            && hashRow({ ...replayed, ...originalValues }, version) === entry.original_hash;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Erasure jobs by ID, with the agent each one erased
+ */
+async function loadErasures(ids) {
+    if (ids.length === 0) return new Map();
+
+    const resultSet = await client.query({
+        query: `
+            SELECT toString(id) AS id, agent_id
+            FROM audit_erasures FINAL
+            WHERE toString(id) IN {ids:Array(String)}`,
+        query_params: { ids },
+        format: 'JSONEachRow'
+    });
+
+    const erasures = new Map();
+    for (const erasure of await resultSet.json()) {
+        erasures.set(erasure.id, erasure.agent_id);
+    }
+    return erasures;
+}
+
+async function verifyChains() {
+    const args = parseArgs(process.argv.slice(2));
+    const from = new Date(args.from || Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const to = new Date(args.to || Date.now()).toISOString();
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🔗 Verifying Audit Hash Chains');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    console.log(`   Range: ${from} → ${to}`);
+    if (args.chain) console.log(`   Chain: ${args.chain}`);
+    console.log('');
+
+    const issues = [];
+    const gaps = [];
+    const mismatches = [];
+    const checkpoints = loadCheckpoints(args.checkpoints, args['public-key'], issues);
+    const chains = new Map();
+
+    // Tenant tables are created AS audit_logs, so their columns line up
+    const tables = allTables();
+    const source = tables.length === 1
+        ? tables[0]
+        : `(${tables.map(table => `SELECT * FROM ${table}`).join(' UNION ALL ')})`;
+
+    // Ordered by chain so only the current chain's state is held in memory
+    const resultSet = await client.query({
+        query: `
+            SELECT *, toUnixTimestamp64Milli(event_time) AS event_time_ms
+            FROM ${source}
+            WHERE event_date >= toDate(parseDateTime64BestEffort({from:String}, 3))
+              AND event_date <= toDate(parseDateTime64BestEffort({to:String}, 3))
+              AND event_time >= parseDateTime64BestEffort({from:String}, 3)
+              AND event_time < parseDateTime64BestEffort({to:String}, 3)
+              AND chain_id != ''
+              ${args.chain ? 'AND chain_id = {chain:String}' : ''}
+            ORDER BY chain_id, chain_seq`,
+        query_params: args.chain ? { from, to, chain: args.chain } : { from, to },
+        format: 'JSONEachRow'
+    });
+
+    let previous = null;
+    let rowCount = 0;
+
+    for await (const rows of resultSet.stream()) {
+        for (const raw of rows) {
+            const row = raw.json();
+            const seq = Number(row.chain_seq);
+            row.event_time = Number(row.event_time_ms);
+            rowCount++;
+
+            if (!previous || previous.chain_id !== row.chain_id) {
+                chains.set(row.chain_id, { first: seq, last: seq, rows: 0 });
+                if (seq === 1 && row.prev_hash !== GENESIS_HASH) {
+                    issues.push({ type: 'broken_link', chain: row.chain_id, seq, detail: 'first row of chain has a prev_hash' });
+                }
+                previous = null;
+            }
+
+            const chain = chains.get(row.chain_id);
+            chain.rows++;
+            chain.last = seq;
+
+            if (!verifyRow(row)) {
+                mismatches.push({ chain: row.chain_id, seq, row, agent: row.agent_id, erasureId: row.erasure_id || '', detail: `event_time ${new Date(row.event_time).toISOString()}, agent ${row.agent_id}, ${row.action} ${row.resource_type}/${row.resource_id}` });
+            }
+
+            if (previous) {
+                const previousSeq = Number(previous.chain_seq);
+                if (seq === previousSeq) {
+                    issues.push({
+                        type: row.row_hash === previous.row_hash ? 'duplicate' : 'conflicting_duplicate',
+                        chain: row.chain_id,
+                        seq,
+                        detail: row.row_hash === previous.row_hash ? 'row stored twice (at-least-once delivery)' : 'two different rows claim this position'
+                    });
+                } else if (seq > previousSeq + 1) {
+                    gaps.push({ chain: row.chain_id, from: previousSeq + 1, to: seq - 1 });
+                } else if (row.prev_hash !== previous.row_hash) {
+                    issues.push({ type: 'broken_link', chain: row.chain_id, seq, detail: `prev_hash does not match row ${previousSeq}` });
+                }
+            }
+
+            const expected = checkpoints.get(row.chain_id)?.get(seq);
+            if (expected && expected.row_hash !== row.row_hash) {
+                issues.push({ type: 'checkpoint_mismatch', chain: row.chain_id, seq, detail: `checkpoint from ${expected.created_at} recorded a different hash` });
+            }
+
+            previous = row;
+        }
+    }
+
+    const drops = await loadDrops([...new Set([...gaps.map(gap => gap.chain), ...checkpoints.keys()])]);
+
+    // Checkpoints for positions that should be in range but were never seen
+    for (const [chainId, chainCheckpoints] of checkpoints) {
+        const chain = chains.get(chainId);
+        if (!chain || (args.chain && args.chain !== chainId)) continue;
+
+        for (const [seq, checkpoint] of chainCheckpoints) {
+            if (seq > chain.last && checkpoint.created_at < to) {
+                const reason = dropReason(drops, chainId, seq);
+                issues.push(reason
+                    ? { type: 'dropped', chain: chainId, seq, detail: `checkpointed row ${seq} was dropped by the logger (${reason})` }
+                    : { type: 'truncated', chain: chainId, seq, detail: `checkpoint from ${checkpoint.created_at} names row ${seq}, chain ends at ${chain.last}` });
+            }
+        }
+    }
+
+    // Explain gaps and mismatches with the dead-letter queue
+    const deadLetters = await loadDeadLetters([...new Set([...gaps, ...mismatches].map(entry => entry.chain))]);
+
+    for (const gap of gaps) {
+        const pending = [];
+        const purged = [];
+        const dropped = new Map();
+        const missing = [];
+        for (let seq = gap.from; seq <= gap.to; seq++) {
+            const status = deadLetters.get(`${gap.chain}:${seq}`)?.status;
+            const reason = dropReason(drops, gap.chain, seq);
+            if (status === 'pending') {
+                pending.push(seq);
+            } else if (status === 'purged') {
+                purged.push(seq);
+            } else if (reason) {
+                if (!dropped.has(reason)) {
+                    dropped.set(reason, []);
+                }
+                dropped.get(reason).push(seq);
+            } else {
+                missing.push(seq);
+            }
+        }
+        if (pending.length > 0) {
+            issues.push({ type: 'dead_lettered', chain: gap.chain, seq: pending[0], detail: `${pending.length} row(s) between ${gap.from} and ${gap.to} are in audit_logs_dlq: ${formatRanges(pending)}` });
+        }
+        if (purged.length > 0) {
+            issues.push({ type: 'purged', chain: gap.chain, seq: purged[0], detail: `${purged.length} row(s) between ${gap.from} and ${gap.to} were purged from audit_logs_dlq: ${formatRanges(purged)}` });
+        }
+        for (const [reason, seqs] of dropped) {
+            issues.push({ type: 'dropped', chain: gap.chain, seq: seqs[0], detail: `${seqs.length} row(s) between ${gap.from} and ${gap.to} were dropped by the logger (${reason}): ${formatRanges(seqs)}` });
+        }
+        if (missing.length > 0) {
+            issues.push({ type: 'gap', chain: gap.chain, seq: missing[0], detail: `missing row(s): ${formatRanges(missing)}` });
+        }
+    }
+
+    // An erasure only explains rows of the agent it erased
+    const erasures = await loadErasures([...new Set(mismatches.map(mismatch => mismatch.erasureId).filter(Boolean))]);
+
+    for (const mismatch of mismatches) {
+        if (mismatch.erasureId && erasures.get(mismatch.erasureId) === mismatch.agent) {
+            issues.push({ type: 'erased', chain: mismatch.chain, seq: mismatch.seq, detail: `personal data erased by job ${mismatch.erasureId}` });
+            continue;
+        }
+
+        const entry = deadLetters.get(`${mismatch.chain}:${mismatch.seq}`);
+        if (replayExplains(mismatch.row, entry)) {
+            issues.push({ type: 'replayed_with_fixes', chain: mismatch.chain, seq: mismatch.seq, detail: `fixed (${entry.fixed_fields.join(', ')}) and replayed from audit_logs_dlq` });
+            continue;
+        }
+
+        issues.push({
+            type: 'modified',
+            chain: mismatch.chain,
+            seq: mismatch.seq,
+            detail: entry?.status === 'replayed'
+                ? `replayed from audit_logs_dlq, but differs from the sealed row beyond the recorded fixes (${mismatch.detail})`
+                : `content does not match row_hash (${mismatch.detail})`
+        });
+    }
+
+    // Report
+    console.log(`📊 Checked ${rowCount.toLocaleString()} rows in ${chains.size} chain(s)\n`);
+    for (const [chainId, chain] of chains) {
+        const anchored = chain.first === 1 ? 'from genesis' : `from row ${chain.first} (earlier rows outside range)`;
+        console.log(`   ${chainId}: rows ${chain.first}-${chain.last}, ${chain.rows.toLocaleString()} stored, ${anchored}`);
+    }
+
+    const INFO = ['duplicate', 'dead_lettered', 'purged', 'dropped', 'replayed_with_fixes', 'erased'];
+    const tampering = issues.filter(issue => !INFO.includes(issue.type));
+    const notices = issues.filter(issue => INFO.includes(issue.type));
+
+    if (notices.length > 0) {
+        console.log('\nℹ️  Notices:');
+        notices.forEach(issue => console.log(`   [${issue.type}] ${issue.chain} #${issue.seq}: ${issue.detail}`));
+    }
+
+    console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (tampering.length === 0) {
+        console.log('✅ All chains intact');
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+        process.exit(0);
+    }
+
+    console.log(`❌ ${tampering.length} integrity problem(s) detected`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+    tampering.forEach(issue => console.log(`   [${issue.type}] ${issue.chain} #${issue.seq}: ${issue.detail}`));
+    console.log('');
+    process.exit(1);
+}
+
+/**
+ * Format [1,2,3,7] as "1-3, 7"
+ */
+function formatRanges(numbers) {
+    const ranges = [];
+    let start = numbers[0];
+    for (let i = 1; i <= numbers.length; i++) {
+        if (numbers[i] !== numbers[i - 1] + 1) {
+            ranges.push(start === numbers[i - 1] ? `${start}` : `${start}-${numbers[i - 1]}`);
+            start = numbers[i];
+        }
+    }
+    return ranges.join(', ');
+}
+
+verifyChains().catch(error => {
+    console.error('❌ Chain verification failed:', error.message);
+    process.exit(1);
+});
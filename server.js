@@ -12,6 +12,17 @@ const bodyParser = require('body-parser');
 const { testConnection } = require('./config/clickhouse');
 const auditLogger = require('./utils/auditLogger');
 const auditMiddleware = require('./middleware/auditMiddleware');
+const { resolveClientIp } = require('./utils/clientIp');
+const { resolveTenant, requireTenant } = require('./utils/tenant');
+const { auditContextMiddleware } = require('./utils/auditContext');
+const { CONTENT_TYPE } = require('./utils/metrics');
+const deadLetterRoutes = require('./routes/deadLetters');
+const auditLogRoutes = require('./routes/auditLogs');
+const auditStreamRoutes = require('./routes/auditStream');
+const alertRoutes = require('./routes/alerts');
+const auditExportRoutes = require('./routes/auditExport');
+const erasureRoutes = require('./routes/erasure');
+const analyticsRoutes = require('./routes/analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,9 +31,21 @@ const PORT = process.env.PORT || 3000;
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Request context (actor, IP, request and trace IDs) for every audit row
+// logged while handling a request
+app.use(auditContextMiddleware);
+
 // Apply audit logging middleware to all API routes
 app.use('/api', auditMiddleware);
 
+// Snapshot functions before UPDATE/DELETE so audit logs record old_value
+// (simulated lookup - replace with your data access layer)
+auditMiddleware.registerResourceLoader('functions', id => ({
+    id,
+    name: 'Existing function',
+    description: 'Loaded before the change'
+}));
+
 // ===========================================
 // Health & Monitoring Endpoints
 // ===========================================
@@ -42,8 +65,9 @@ app.get('/health', (req, res) => {
 /**
  * Audit logging status endpoint
  */
-app.get('/admin/audit-status', (req, res) => {
-    const status = auditLogger.getDetailedStatus();
+app.get('/admin/audit-status', requireTenant, (req, res) => {
+    // Pipeline health is shared; the per-user breakdown is the caller's tenant only
+    const status = auditLogger.getDetailedStatus(req.tenantId);
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
@@ -51,6 +75,53 @@ app.get('/admin/audit-status', (req, res) => {
     });
 });
 
+/**
+ * Prometheus metrics for the audit pipeline
+ */
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', CONTENT_TYPE);
+        res.send(await auditLogger.getMetrics());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Dead-lettered audit rows (list, inspect, fix-and-replay, purge)
+ */
+app.use('/admin/audit-dlq', deadLetterRoutes);
+
+/**
+ * Audit log search
+ */
+app.use('/admin/audit-logs', auditLogRoutes);
+
+/**
+ * Streaming audit log export (CSV, NDJSON, Parquet)
+ */
+app.use('/admin/audit-export', auditExportRoutes);
+
+/**
+ * Activity analytics from the hourly rollups
+ */
+app.use('/admin/audit-analytics', analyticsRoutes);
+
+/**
+ * Live audit stream (Server-Sent Events)
+ */
+app.use('/admin/audit-stream', auditStreamRoutes);
+
+/**
+ * Alert rules and recent firings
+ */
+app.use('/admin/audit-alerts', alertRoutes);
+
+/**
+ * Erasure (GDPR) jobs and legal holds
+ */
+app.use('/admin/audit-erasure', erasureRoutes);
+
 // ===========================================
 // Example API Routes
 // ===========================================
@@ -126,16 +197,12 @@ app.post('/api/custom-action', (req, res) => {
         // Your business logic here
         const result = { success: true };
         
-        // Manual audit logging with full control
+        // Manual audit logging - tenant, actor, IP, endpoint and request/trace
+        // IDs come from the request context
         auditLogger.log({
-            agentId: 'system',
-            agentName: 'System Process',
             action: 'CUSTOM',
             resourceType: 'custom',
-            resourceId: 'custom_' + Date.now(),
-            ipAddress: req.ip,
-            endpoint: req.path,
-            httpMethod: req.method
+            resourceId: 'custom_' + Date.now()
         }, {
             statusCode: 200,
             requestBody: req.body,
@@ -164,13 +231,16 @@ app.use((err, req, res, next) => {
     console.error('Error:', err);
     
     // Log error
+    const client = resolveClientIp(req);
     auditLogger.log({
+        tenantId: resolveTenant(req),
         agentId: req.user?.id || 'anonymous',
         agentName: req.user?.name || 'Anonymous',
         action: 'ERROR',
         resourceType: 'error',
         resourceId: 'error_' + Date.now(),
-        ipAddress: req.ip,
+        ipAddress: client.ip,
+        forwardedChain: client.chain,
         endpoint: req.path,
         httpMethod: req.method
     }, {
@@ -211,6 +281,12 @@ async function startServer() {
         console.log(`   Environment: ${process.env.NODE_ENV}`);
         console.log(`   Health Check: http://localhost:${PORT}/health`);
         console.log(`   Audit Status: http://localhost:${PORT}/admin/audit-status`);
+        console.log(`   Metrics: http://localhost:${PORT}/metrics`);
+        console.log(`   Dead Letters: http://localhost:${PORT}/admin/audit-dlq`);
+        console.log(`   Audit Search: http://localhost:${PORT}/admin/audit-logs`);
+        console.log(`   Audit Export: http://localhost:${PORT}/admin/audit-export`);
+        console.log(`   Audit Stream: http://localhost:${PORT}/admin/audit-stream`);
+        console.log(`   Audit Alerts: http://localhost:${PORT}/admin/audit-alerts/firings`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
         console.log('Ready to accept requests! 🎉\n');
     });
@@ -0,0 +1,417 @@
+/**
+ * Audit Alert Rules
+ *
+ * Evaluates every row logged by AuditLogger against declarative rules and
+ * notifies when a pattern shows up, e.g. one agent issuing more than 50
+ * DELETEs in a minute.
+ *
+ * A rule has:
+ * - `match`: conditions on the row, all of which must hold
+ *     action, resource_type, resource_id, agent_id, agent_role,
+ *     http_method, tenant_id   One value or a list
+ *     endpoint                 Route globs, e.g. '/api/roles/**'
+ *     status                   Codes or classes, e.g. ['5xx', 403]
+ *     outside_hours            { start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5],
+ *                                timezone: 'Europe/Berlin' } - event time outside
+ *                                those hours or days (0 = Sunday)
+ * - `threshold` matching rows within `window` (default 1 row in 1m),
+ *   counted separately per `groupBy` key (row columns)
+ * - `cooldown` before the same group can fire again (default: the window)
+ * - `notify`: names of notifiers; `severity`, `description` for humans
+ *
+ * Durations are milliseconds or strings such as '30s', '5m', '1h', '1d'.
+ *
+ * Notifiers are `webhook` (POST of the firing as JSON, optionally signed
+ * like the webhook sink) or `file` (one JSON line per firing).
+ *
+ * @module utils/alertRules
+ *
+ * @example
+ * const engine = new AlertEngine({
+ *     notifiers: {
+ *         security: { type: 'webhook', url: 'https://hooks.example.com/audit' }
+ *     },
+ *     rules: [
+ *         { name: 'mass-delete', match: { action: 'DELETE' }, groupBy: ['agent_id'],
+ *           threshold: 50, window: '1m', cooldown: '10m', notify: ['security'] },
+ *         { name: 'endpoint-5xx', match: { status: '5xx' }, groupBy: ['endpoint'], threshold: 20, window: '5m' },
+ *         { name: 'off-hours-role-change', match: { resource_type: 'role', action: ['UPDATE', 'CREATE'],
+ *           outside_hours: { start: '08:00', end: '18:00', days: [1, 2, 3, 4, 5] } } }
+ *     ]
+ * }, { onFire: firing => console.log(firing) });
+ *
+ * engine.evaluate(row);
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { compileRoutePattern } = require('./glob');
+
+// Columns a rule can match on by value
+const VALUE_CONDITIONS = ['action', 'resource_type', 'resource_id', 'agent_id', 'agent_role', 'http_method', 'tenant_id'];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Firings kept for GET /admin/audit-alerts/firings
+const RECENT_FIRINGS = 200;
+
+// Groups tracked per rule before the least recently seen is forgotten
+const MAX_GROUPS = 10000;
+
+const NOTIFIER_TYPES = {
+    webhook: options => new WebhookNotifier(options),
+    file: options => new FileNotifier(options)
+};
+
+class AlertEngine {
+    /**
+     * @param {Object} [config={}]
+     * @param {Object[]} [config.rules=[]]
+     * @param {Object} [config.notifiers={}] - Name -> { type: 'webhook' | 'file', ...options }
+     * @param {Object} [options={}]
+     * @param {Function} [options.onFire] - (firing) => void, called for every firing
+     * @throws {Error} For invalid rules or notifiers
+     */
+    constructor(config = {}, { onFire } = {}) {
+        this.notifiers = new Map(Object.entries(config.notifiers || {}).map(([name, options]) => {
+            const create = NOTIFIER_TYPES[options.type];
+            if (!create) {
+                throw new Error(`Alert notifier "${name}": unknown type "${options.type}" (use ${Object.keys(NOTIFIER_TYPES).join(', ')})`);
+            }
+            return [name, create(options)];
+        }));
+
+        this.rules = (config.rules || []).map(rule => compileRule(rule, this.notifiers));
+        const names = new Set();
+        for (const rule of this.rules) {
+            if (names.has(rule.name)) {
+                throw new Error(`Duplicate alert rule name "${rule.name}"`);
+            }
+            names.add(rule.name);
+        }
+
+        this.onFire = onFire || (() => {});
+        this.firings = [];
+        this.fired = 0;
+    }
+
+    /**
+     * Count a row against every rule and fire the ones over their threshold
+     *
+     * @param {Object} row - Sealed audit row
+     * @returns {Object[]} Firings caused by this row
+     */
+    evaluate(row) {
+        const firings = [];
+        const time = Date.parse(row.event_time) || Date.now();
+
+        for (const rule of this.rules) {
+            if (!rule.matches(row)) {
+                continue;
+            }
+
+            const key = rule.groupBy.map(column => String(row[column] ?? '')).join('\u0000');
+            let group = rule.groups.get(key);
+            if (group) {
+                // Re-insert so the Map stays ordered by last activity
+                rule.groups.delete(key);
+            } else {
+                group = { times: [], cooldownUntil: 0 };
+                if (rule.groups.size >= MAX_GROUPS) {
+                    rule.groups.delete(rule.groups.keys().next().value);
+                }
+            }
+            rule.groups.set(key, group);
+
+            // Only the newest `threshold` matches can decide a firing
+            group.times.push(time);
+            if (group.times.length > rule.threshold) {
+                group.times.shift();
+            }
+
+            if (group.times.length === rule.threshold
+                && time - group.times[0] <= rule.window
+                && time >= group.cooldownUntil) {
+                group.cooldownUntil = time + rule.cooldown;
+                firings.push(this.fire(rule, row, group.times[0], time));
+                group.times = [];
+            }
+        }
+
+        return firings;
+    }
+
+    /**
+     * @private
+     */
+    fire(rule, row, firstTime, lastTime) {
+        const firing = {
+            id: crypto.randomUUID(),
+            rule: rule.name,
+            severity: rule.severity,
+            description: rule.description,
+            firedAt: new Date().toISOString(),
+            tenantId: row.tenant_id || '',
+            group: Object.fromEntries(rule.groupBy.map(column => [column, row[column]])),
+            count: rule.threshold,
+            window: rule.window,
+            firstEventTime: new Date(firstTime).toISOString(),
+            lastEventTime: new Date(lastTime).toISOString(),
+            // The row that crossed the threshold
+            trigger: {
+                chainId: row.chain_id,
+                chainSeq: row.chain_seq,
+                agentId: row.agent_id,
+                action: row.action,
+                resourceType: row.resource_type,
+                resourceId: row.resource_id,
+                endpoint: row.endpoint,
+                statusCode: row.status_code
+            }
+        };
+
+        this.fired++;
+        this.firings.push(firing);
+        if (this.firings.length > RECENT_FIRINGS) {
+            this.firings.shift();
+        }
+
+        for (const name of rule.notify) {
+            this.notifiers.get(name).notify(firing).catch(error => {
+                console.error(`❌ Alert notifier "${name}" failed for rule "${rule.name}": ${error.message}`);
+            });
+        }
+        this.onFire(firing);
+
+        return firing;
+    }
+
+    /**
+     * Rules as configured, for the admin API
+     *
+     * @returns {Object[]}
+     */
+    listRules() {
+        return this.rules.map(rule => ({ ...rule.definition, activeGroups: rule.groups.size }));
+    }
+
+    /**
+     * Recent firings, newest first
+     *
+     * @param {Object} [options={}]
+     * @param {string} [options.rule] - Only this rule
+     * @param {string} [options.tenantId] - Only firings triggered by this tenant's rows
+     * @param {number} [options.limit=50]
+     * @returns {Object[]}
+     */
+    recentFirings({ rule, tenantId, limit = 50 } = {}) {
+        return this.firings
+            .filter(firing => (rule === undefined || firing.rule === rule)
+                && (tenantId === undefined || firing.tenantId === tenantId))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            rules: this.rules.length,
+            notifiers: [...this.notifiers.keys()],
+            fired: this.fired
+        };
+    }
+}
+
+/**
+ * POSTs each firing as JSON
+ * @private
+ */
+class WebhookNotifier {
+    constructor({ url, headers = {}, secret, timeout = 10000 }) {
+        if (!url) {
+            throw new Error('Webhook alert notifier needs a url');
+        }
+        this.url = url;
+        this.headers = headers;
+        this.secret = secret;
+        this.timeout = timeout;
+    }
+
+    async notify(firing) {
+        const body = JSON.stringify(firing);
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (this.secret) {
+            headers['X-Audit-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        await response.arrayBuffer().catch(() => {});
+        if (!response.ok) {
+            throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+        }
+    }
+}
+
+/**
+ * Appends each firing as a JSON line
+ * @private
+ */
+class FileNotifier {
+    constructor({ file }) {
+        if (!file) {
+            throw new Error('File alert notifier needs a file');
+        }
+        this.file = file;
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+
+    async notify(firing) {
+        await fs.promises.appendFile(this.file, JSON.stringify(firing) + '\n');
+    }
+}
+
+/**
+ * Validate a rule and precompile its conditions
+ * @private
+ */
+function compileRule(rule, notifiers) {
+    const name = rule.name;
+    if (!name) {
+        throw new Error('Alert rules need a name');
+    }
+
+    const match = rule.match || {};
+    const tests = [];
+
+    for (const column of VALUE_CONDITIONS) {
+        if (match[column] !== undefined) {
+            const values = new Set(toList(match[column]).map(String));
+            tests.push(row => values.has(String(row[column])));
+        }
+    }
+
+    if (match.endpoint !== undefined) {
+        const patterns = toList(match.endpoint).map(compileRoutePattern);
+        tests.push(row => patterns.some(matches => matches(row.endpoint)));
+    }
+
+    if (match.status !== undefined) {
+        const statuses = toList(match.status).map(status => String(status).toLowerCase());
+        for (const status of statuses) {
+            if (!/^[1-5](?:xx|\d\d)$/.test(status)) {
+                throw new Error(`Alert rule "${name}": invalid status "${status}" (use a code or a class such as 5xx)`);
+            }
+        }
+        tests.push(row => statuses.some(status => (status.endsWith('xx')
+            ? Math.floor(row.status_code / 100) === Number(status[0])
+            : row.status_code === Number(status))));
+    }
+
+    if (match.outside_hours !== undefined) {
+        tests.push(compileOutsideHours(name, match.outside_hours));
+    }
+
+    const unknown = Object.keys(match).filter(key =>
+        !VALUE_CONDITIONS.includes(key) && !['endpoint', 'status', 'outside_hours'].includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Alert rule "${name}": unknown match condition "${unknown[0]}"`);
+    }
+
+    const threshold = rule.threshold === undefined ? 1 : Number(rule.threshold);
+    if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error(`Alert rule "${name}": threshold must be a positive integer`);
+    }
+    const window = parseDuration(rule.window === undefined ? '1m' : rule.window, name, 'window');
+    const cooldown = rule.cooldown === undefined ? window : parseDuration(rule.cooldown, name, 'cooldown');
+
+    const notify = toList(rule.notify || []);
+    for (const notifier of notify) {
+        if (!notifiers.has(notifier)) {
+            throw new Error(`Alert rule "${name}": unknown notifier "${notifier}"`);
+        }
+    }
+
+    return {
+        name,
+        definition: rule,
+        severity: rule.severity || 'warning',
+        description: rule.description || '',
+        groupBy: toList(rule.groupBy || []),
+        threshold,
+        window,
+        cooldown,
+        notify,
+        matches: row => tests.every(test => test(row)),
+        // Group key -> { times, cooldownUntil }
+        groups: new Map()
+    };
+}
+
+/**
+ * Compile an outside_hours condition
+ * @private
+ */
+function compileOutsideHours(name, { start = '00:00', end = '24:00', days = [1, 2, 3, 4, 5], timezone = 'UTC' }) {
+    const [from, to] = [start, end].map(time => {
+        const parsed = /^(\d{1,2}):(\d{2})$/.exec(time);
+        if (!parsed || Number(parsed[1]) > 24 || Number(parsed[2]) > 59) {
+            throw new Error(`Alert rule "${name}": outside_hours times must be HH:MM, got "${time}"`);
+        }
+        return Number(parsed[1]) * 60 + Number(parsed[2]);
+    });
+    const workdays = new Set(days.map(Number));
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // Throws RangeError for unknown time zones
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    return row => {
+        const parts = Object.fromEntries(format.formatToParts(new Date(row.event_time)).map(part => [part.type, part.value]));
+        const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+        const workday = workdays.has(weekdays.indexOf(parts.weekday));
+        return !workday || minutes < from || minutes >= to;
+    };
+}
+
+/**
+ * Parse a duration into milliseconds
+ *
+ * @param {number|string} value - e.g. 60000, '30s', '5m', '1h', '1d'
+ * @returns {number}
+ * @private
+ */
+function parseDuration(value, name, setting) {
+    if (typeof value === 'number' && value > 0) {
+        return value;
+    }
+    const parsed = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(value).trim());
+    if (!parsed) {
+        throw new Error(`Alert rule "${name}": ${setting} must be milliseconds or a duration like 30s, 5m, 1h`);
+    }
+    return Number(parsed[1]) * DURATION_UNITS[parsed[2]];
+}
+
+/**
+ * @private
+ */
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+    AlertEngine
+};
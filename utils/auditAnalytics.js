@@ -0,0 +1,325 @@
+/**
+ * Audit Activity Analytics
+ *
+ * Dashboard queries over the hourly rollups that migration 0008 maintains
+ * with materialized views, instead of scanning `audit_logs`:
+ *   topAgents()          most active agents
+ *   busiestResources()   resource types with the most events
+ *   errorTrends()        4xx/5xx counts and error rate over time
+ *   latency()            response_time_ms average and quantiles over time
+ *
+ * Every query is scoped to one tenant. Ranges are whole hours: `from` is
+ * rounded down to its hour, and `to` (exclusive) defaults to now and `from`
+ * to 24 hours before it. Quantiles are t-digest estimates.
+ *
+ * @module utils/auditAnalytics
+ *
+ * @example
+ * const { rows } = await latency('acme', { from: '2025-01-01', interval: 'day', endpoint: '/api/functions' });
+ */
+
+const { client } = require('../config/clickhouse');
+const { InvalidFilterError } = require('./auditQuery');
+
+const ACTIVITY_TABLE = 'audit_activity_hourly';
+const LATENCY_TABLE = 'audit_endpoint_latency_hourly';
+const STATUS_TABLE = 'audit_status_hourly';
+
+// Bucket expressions over the `hour` column
+const INTERVALS = {
+    hour: 'hour',
+    day: 'toStartOfDay(hour)'
+};
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+// Longest time series returned, in buckets
+const MAX_BUCKETS = 2000;
+
+/**
+ * Most active agents in a range
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [filters={}] - Usually req.query
+ * @param {string} [filters.from] - ISO-8601, inclusive
+ * @param {string} [filters.to] - ISO-8601, exclusive
+ * @param {string} [filters.action] - Only this action
+ * @param {string} [filters.resource_type] - Only this resource type
+ * @param {string|number} [filters.limit=10] - Agents returned (max 100)
+ * @returns {Promise<Object>} { from, to, rows: [{ agent_id, events, actions, first_hour, last_hour }] }
+ * @throws {InvalidFilterError}
+ */
+async function topAgents(tenantId, filters = {}) {
+    const { conditions, params } = buildConditions(tenantId, filters, ['action', 'resource_type']);
+    params.limit = parseTop(filters.limit);
+
+    const rows = await select(`
+        SELECT
+            agent_id,
+            sum(events) AS events,
+            uniqExact(action) AS actions,
+            min(hour) AS first_hour,
+            max(hour) AS last_hour
+        FROM ${ACTIVITY_TABLE}
+        WHERE ${conditions.join('\n          AND ')}
+        GROUP BY agent_id
+        ORDER BY events DESC, agent_id
+        LIMIT {limit:UInt32}`, params);
+
+    return result(params, rows.map(row => ({
+        ...row,
+        events: Number(row.events),
+        actions: Number(row.actions)
+    })));
+}
+
+/**
+ * Resource types with the most events in a range
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [filters={}] - Usually req.query
+ * @param {string} [filters.from] - ISO-8601, inclusive
+ * @param {string} [filters.to] - ISO-8601, exclusive
+ * @param {string} [filters.action] - Only this action
+ * @param {string} [filters.agent_id] - Only this agent
+ * @param {string|number} [filters.limit=10] - Resource types returned (max 100)
+ * @returns {Promise<Object>} { from, to, rows: [{ resource_type, events, agents }] }
+ * @throws {InvalidFilterError}
+ */
+async function busiestResources(tenantId, filters = {}) {
+    const { conditions, params } = buildConditions(tenantId, filters, ['action', 'agent_id']);
+    params.limit = parseTop(filters.limit);
+
+    const rows = await select(`
+        SELECT
+            resource_type,
+            sum(events) AS events,
+            uniqExact(agent_id) AS agents
+        FROM ${ACTIVITY_TABLE}
+        WHERE ${conditions.join('\n          AND ')}
+        GROUP BY resource_type
+        ORDER BY events DESC, resource_type
+        LIMIT {limit:UInt32}`, params);
+
+    return result(params, rows.map(row => ({
+        ...row,
+        events: Number(row.events),
+        agents: Number(row.agents)
+    })));
+}
+
+/**
+ * Client and server errors per interval
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [filters={}] - Usually req.query
+ * @param {string} [filters.from] - ISO-8601, inclusive
+ * @param {string} [filters.to] - ISO-8601, exclusive
+ * @param {string} [filters.interval='hour'] - hour | day
+ * @param {string} [filters.endpoint_prefix] - Endpoint starts with
+ * @param {string} [filters.http_method]
+ * @returns {Promise<Object>} { from, to, interval, rows: [{ bucket, events, client_errors, server_errors, error_rate }] }
+ * @throws {InvalidFilterError}
+ */
+async function errorTrends(tenantId, filters = {}) {
+    const { conditions, params } = buildConditions(tenantId, filters, ['http_method']);
+    const interval = parseInterval(filters.interval, params);
+    addEndpointPrefix(filters, conditions, params);
+
+    const rows = await select(`
+        SELECT
+            ${INTERVALS[interval]} AS bucket,
+            sum(events) AS events,
+            sumIf(events, status_class = '4xx') AS client_errors,
+            sumIf(events, status_class = '5xx') AS server_errors
+        FROM ${STATUS_TABLE}
+        WHERE ${conditions.join('\n          AND ')}
+        GROUP BY bucket
+        ORDER BY bucket`, params);
+
+    return result(params, rows.map(row => {
+        const events = Number(row.events);
+        const errors = Number(row.client_errors) + Number(row.server_errors);
+        return {
+            bucket: row.bucket,
+            events,
+            client_errors: Number(row.client_errors),
+            server_errors: Number(row.server_errors),
+            error_rate: events > 0 ? errors / events : 0
+        };
+    }), interval);
+}
+
+/**
+ * Response time per interval
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [filters={}] - Usually req.query
+ * @param {string} [filters.from] - ISO-8601, inclusive
+ * @param {string} [filters.to] - ISO-8601, exclusive
+ * @param {string} [filters.interval='hour'] - hour | day
+ * @param {string} [filters.endpoint] - Exact endpoint
+ * @param {string} [filters.endpoint_prefix] - Endpoint starts with
+ * @param {string} [filters.http_method]
+ * @returns {Promise<Object>} { from, to, interval, rows: [{ bucket, requests, avg_ms, p50_ms, p95_ms, p99_ms, max_ms }] }
+ * @throws {InvalidFilterError}
+ */
+async function latency(tenantId, filters = {}) {
+    const { conditions, params } = buildConditions(tenantId, filters, ['endpoint', 'http_method']);
+    const interval = parseInterval(filters.interval, params);
+    addEndpointPrefix(filters, conditions, params);
+
+    const rows = await select(`
+        SELECT
+            ${INTERVALS[interval]} AS bucket,
+            sum(requests) AS requests,
+            sum(total_time_ms) AS total_time_ms,
+            max(max_time_ms) AS max_ms,
+            quantilesTDigestMerge(0.5, 0.95, 0.99)(latency) AS quantiles
+        FROM ${LATENCY_TABLE}
+        WHERE ${conditions.join('\n          AND ')}
+        GROUP BY bucket
+        ORDER BY bucket`, params);
+
+    return result(params, rows.map(row => {
+        const requests = Number(row.requests);
+        const [p50, p95, p99] = row.quantiles.map(value => Math.round(Number(value)));
+        return {
+            bucket: row.bucket,
+            requests,
+            avg_ms: requests > 0 ? Math.round(Number(row.total_time_ms) / requests) : 0,
+            p50_ms: p50,
+            p95_ms: p95,
+            p99_ms: p99,
+            max_ms: Number(row.max_ms)
+        };
+    }), interval);
+}
+
+/**
+ * Tenant, range and exact-match conditions on a rollup
+ *
+ * @param {string} tenantId
+ * @param {Object} filters
+ * @param {string[]} columns - Rollup columns that may be filtered on exactly
+ * @returns {{conditions: string[], params: Object}}
+ * @throws {InvalidFilterError}
+ * @private
+ */
+function buildConditions(tenantId, filters, columns) {
+    const to = filters.to ? parseTime(filters.to, 'to') : new Date();
+    const from = filters.from ? parseTime(filters.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_MS);
+    if (from >= to) {
+        throw new InvalidFilterError('from must be before to');
+    }
+
+    const conditions = [
+        'tenant_id = {tenantId:String}',
+        'hour >= toStartOfHour(parseDateTimeBestEffort({from:String}))',
+        'hour < parseDateTimeBestEffort({to:String})'
+    ];
+    const params = {
+        tenantId: String(tenantId || ''),
+        from: from.toISOString(),
+        to: to.toISOString()
+    };
+
+    for (const column of columns) {
+        if (filters[column] !== undefined && filters[column] !== '') {
+            conditions.push(`${column} = {${column}:String}`);
+            params[column] = String(filters[column]);
+        }
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * @private
+ */
+function addEndpointPrefix(filters, conditions, params) {
+    if (filters.endpoint_prefix) {
+        conditions.push('startsWith(endpoint, {endpointPrefix:String})');
+        params.endpointPrefix = String(filters.endpoint_prefix);
+    }
+}
+
+/**
+ * Validate an interval and that the range doesn't produce too many buckets
+ *
+ * @returns {string} Interval name
+ * @throws {InvalidFilterError}
+ * @private
+ */
+function parseInterval(value, params) {
+    const interval = value || 'hour';
+    if (!INTERVALS[interval]) {
+        throw new InvalidFilterError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const bucketMs = interval === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const buckets = (new Date(params.to) - new Date(params.from)) / bucketMs;
+    if (buckets > MAX_BUCKETS) {
+        throw new InvalidFilterError(`Range too long for interval ${interval} (at most ${MAX_BUCKETS} buckets)`);
+    }
+    return interval;
+}
+
+/**
+ * @private
+ */
+function parseTop(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_TOP;
+    }
+    const limit = parseInt(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new InvalidFilterError('limit must be a positive integer');
+    }
+    return Math.min(limit, MAX_TOP);
+}
+
+/**
+ * @private
+ */
+function parseTime(value, name) {
+    const time = new Date(String(value));
+    if (isNaN(time.getTime())) {
+        throw new InvalidFilterError(`${name} must be an ISO-8601 timestamp`);
+    }
+    return time;
+}
+
+/**
+ * @private
+ */
+async function select(query, params) {
+    const resultSet = await client.query({
+        query,
+        query_params: params,
+        format: 'JSONEachRow'
+    });
+    return resultSet.json();
+}
+
+/**
+ * @private
+ */
+function result(params, rows, interval) {
+    return {
+        from: params.from,
+        to: params.to,
+        ...(interval ? { interval } : {}),
+        rows
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    topAgents,
+    busiestResources,
+    errorTrends,
+    latency
+};
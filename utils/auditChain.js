@@ -0,0 +1,245 @@
+/**
+ * Tamper-Evident Audit Hash Chain
+ *
+ * Every audit row is sealed before it is buffered: it gets the chain it
+ * belongs to (`chain_id`, one per logger instance), its position in that
+ * chain (`chain_seq`), the hash of the previous row (`prev_hash`) and its
+ * own content hash (`row_hash`). Editing a row breaks its hash; deleting
+ * one leaves a gap in the sequence and a broken `prev_hash` link.
+ *
+ * Hashes are prefixed with a version (`v4:<sha256 hex>`) naming the set of
+ * columns they cover, so columns added later don't invalidate old rows
+ * (v1: original columns, v2: adds `forwarded_chain`, v3: adds `tenant_id`,
+ * v4: adds `trace_id` and `span_id`).
+ *
+ * Optional signed checkpoints (chain head + signature, appended to a local
+ * NDJSON file) let a chain be anchored outside ClickHouse.
+ *
+ * @module utils/auditChain
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { normalizeIp } = require('./clientIp');
+
+// Columns covered by each hash version, in hashing order
+const HASHED_COLUMNS = {
+    v1: [
+        'chain_id', 'chain_seq', 'prev_hash',
+        'event_time', 'event_date',
+        'agent_id', 'agent_name', 'agent_role', 'agent_email',
+        'action', 'resource_type', 'resource_id', 'resource_name',
+        'ip_address', 'endpoint', 'http_method', 'status_code', 'response_time_ms',
+        'request_body', 'response_body', 'request_headers', 'response_headers',
+        'old_value', 'new_value',
+        'user_agent', 'session_id', 'request_id', 'error_message', 'metadata'
+    ]
+};
+HASHED_COLUMNS.v2 = [...HASHED_COLUMNS.v1, 'forwarded_chain'];
+HASHED_COLUMNS.v3 = [...HASHED_COLUMNS.v2, 'tenant_id'];
+HASHED_COLUMNS.v4 = [...HASHED_COLUMNS.v3, 'trace_id', 'span_id'];
+
+const CURRENT_VERSION = 'v4';
+
+// prev_hash of the first row in a chain
+const GENESIS_HASH = '';
+
+class AuditChain {
+    /**
+     * @param {string} [chainId] - Defaults to a random UUID (one chain per process)
+     */
+    constructor(chainId = crypto.randomUUID()) {
+        this.chainId = chainId;
+        this.seq = 0;
+        this.head = GENESIS_HASH;
+        this.checkpointTimer = null;
+        this.lastCheckpointSeq = 0;
+    }
+
+    /**
+     * Link a row into the chain (mutates and returns the row)
+     *
+     * @param {Object} row - Formatted audit row
+     * @returns {Object} The same row with chain columns set
+     */
+    seal(row) {
+        row.chain_id = this.chainId;
+        row.chain_seq = ++this.seq;
+        row.prev_hash = this.head;
+        row.row_hash = hashRow(row);
+
+        this.head = row.row_hash;
+        return row;
+    }
+
+    /**
+     * Periodically append a signed checkpoint of the chain head to a file
+     *
+     * @param {Object} options
+     * @param {string} options.file - NDJSON file to append to
+     * @param {crypto.KeyObject|string} options.privateKey - PEM or KeyObject (Ed25519 recommended)
+     * @param {number} [options.interval=60000] - Milliseconds between checkpoints
+     */
+    startCheckpoints({ file, privateKey, interval = 60000 }) {
+        this.checkpointFile = file;
+        this.privateKey = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+
+        this.checkpointTimer = setInterval(() => this.checkpoint(), interval);
+        this.checkpointTimer.unref();
+    }
+
+    /**
+     * Write a checkpoint now if the chain advanced since the last one
+     *
+     * @returns {Object|null} The checkpoint written
+     */
+    checkpoint() {
+        if (!this.privateKey || this.seq === this.lastCheckpointSeq) {
+            return null;
+        }
+
+        const checkpoint = signCheckpoint({
+            chain_id: this.chainId,
+            chain_seq: this.seq,
+            row_hash: this.head,
+            created_at: new Date().toISOString()
+        }, this.privateKey);
+
+        try {
+            fs.appendFileSync(this.checkpointFile, JSON.stringify(checkpoint) + '\n');
+            this.lastCheckpointSeq = this.seq;
+        } catch (error) {
+            console.error(`❌ Audit chain checkpoint failed: ${error.message}`);
+        }
+        return checkpoint;
+    }
+
+    /**
+     * Stop checkpointing, writing a final checkpoint (called on shutdown)
+     */
+    shutdown() {
+        if (this.checkpointTimer) {
+            clearInterval(this.checkpointTimer);
+            this.checkpointTimer = null;
+            this.checkpoint();
+        }
+    }
+
+    /**
+     * Get chain status (for monitoring)
+     *
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            chainId: this.chainId,
+            seq: this.seq,
+            head: this.head,
+            lastCheckpointSeq: this.lastCheckpointSeq,
+            checkpoints: Boolean(this.privateKey)
+        };
+    }
+}
+
+/**
+ * Compute a row's versioned content hash
+ *
+ * @param {Object} row - Audit row, as logged or as read back from ClickHouse
+ * @param {string} [version] - Hash version (defaults to the current one)
+ * @returns {string} e.g. 'v2:9f86d0...'
+ */
+function hashRow(row, version = CURRENT_VERSION) {
+    const columns = HASHED_COLUMNS[version];
+    if (!columns) {
+        throw new Error(`Unknown audit hash version: ${version}`);
+    }
+
+    const canonical = JSON.stringify(columns.map(column => canonicalValue(column, row[column])));
+    return `${version}:${crypto.createHash('sha256').update(canonical).digest('hex')}`;
+}
+
+/**
+ * Recompute a stored row's hash using the version its row_hash names
+ *
+ * @param {Object} row - Row read back from ClickHouse
+ * @returns {boolean} Whether the stored row_hash matches the content
+ */
+function verifyRow(row) {
+    const version = String(row.row_hash || '').split(':')[0];
+    if (!HASHED_COLUMNS[version]) {
+        return false;
+    }
+    return hashRow(row, version) === row.row_hash;
+}
+
+/**
+ * Normalize a value so it hashes identically before insert and after
+ * a round trip through ClickHouse
+ * @private
+ */
+function canonicalValue(column, value) {
+    switch (column) {
+        case 'event_time':
+            // Epoch milliseconds - ClickHouse renders DateTime64 in the server time zone
+            return typeof value === 'number' ? value : Date.parse(value);
+        case 'chain_seq':
+            // UInt64 comes back as a string
+            return String(value);
+        case 'status_code':
+        case 'response_time_ms':
+            return Number(value);
+        case 'ip_address':
+            // IPv6 column returns IPv4 mapped (::ffff:10.0.0.1) - hash the plain form
+            return normalizeIp(String(value || '')) || String(value || '');
+        default:
+            return value === undefined || value === null ? '' : String(value);
+    }
+}
+
+/**
+ * Sign a checkpoint
+ *
+ * @param {Object} checkpoint - { chain_id, chain_seq, row_hash, created_at }
+ * @param {crypto.KeyObject} privateKey
+ * @returns {Object} Checkpoint with a base64 `signature`
+ */
+function signCheckpoint(checkpoint, privateKey) {
+    const signature = crypto.sign(null, checkpointPayload(checkpoint), privateKey);
+    return { ...checkpoint, signature: signature.toString('base64') };
+}
+
+/**
+ * Verify a checkpoint signature
+ *
+ * @param {Object} checkpoint - Signed checkpoint
+ * @param {crypto.KeyObject|string} publicKey - PEM or KeyObject
+ * @returns {boolean}
+ */
+function verifyCheckpoint(checkpoint, publicKey) {
+    try {
+        return crypto.verify(
+            null,
+            checkpointPayload(checkpoint),
+            typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey,
+            Buffer.from(checkpoint.signature, 'base64')
+        );
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @private
+ */
+function checkpointPayload({ chain_id, chain_seq, row_hash, created_at }) {
+    return Buffer.from(JSON.stringify([chain_id, String(chain_seq), row_hash, created_at]));
+}
+
+module.exports = {
+    AuditChain,
+    GENESIS_HASH,
+    hashRow,
+    verifyRow,
+    signCheckpoint,
+    verifyCheckpoint
+};
@@ -0,0 +1,277 @@
+/**
+ * Request-Scoped Audit Context
+ *
+ * auditContextMiddleware opens an AsyncLocalStorage context for each
+ * request. AuditLogger.log() fills anything its caller leaves out from the
+ * current context, so services deep in a request only pass what they know:
+ *
+ *   tenantId, agentId/agentName/agentRole/agentEmail   (actor)
+ *   ipAddress, forwardedChain, endpoint, httpMethod
+ *   userAgent, sessionId, requestId, traceId, spanId
+ *
+ * The request ID comes from X-Request-Id, or is generated, and is echoed
+ * in the response. Trace IDs follow W3C Trace Context: the trace ID and
+ * the caller's span (parentSpanId) come from a valid `traceparent` header,
+ * otherwise a new trace starts; each request gets its own span ID.
+ * getTraceparent() gives the header for outgoing calls.
+ *
+ * Actor and tenant are resolved when a row is logged, not when the request
+ * arrives, so authentication middleware may run after this one.
+ *
+ * Background jobs get a synthetic context with runAsSystem().
+ *
+ * @module utils/auditContext
+ *
+ * @example
+ * app.use(createAuditContextMiddleware());
+ *
+ * // Anywhere below a request handler
+ * auditLogger.log({ action: 'EXPORT', resourceType: 'report', resourceId: 'r_1' });
+ *
+ * // Outside requests
+ * runAsSystem('nightly-cleanup', () => cleanup());
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { compileTrustedProxies, resolveClientIp } = require('./clientIp');
+const { resolveTenant } = require('./tenant');
+
+const storage = new AsyncLocalStorage();
+
+// version-traceid-parentid-flags, lowercase hex
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// Incoming request IDs are stored as-is - keep them short and printable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:\/+=-]{1,128}$/;
+
+/**
+ * Create the middleware that opens a context per request
+ *
+ * @param {Object} [options={}]
+ * @param {Function} [options.getActor] - (req) => { id, name, role, email } (default: req.user, then the session)
+ * @param {Function} [options.getTenant] - (req) => tenant ID (default: AUDIT_TENANT_SOURCE)
+ * @param {string} [options.requestIdHeader='x-request-id'] - Header read and echoed
+ * @param {string|string[]} [options.trustedProxies] - See utils/clientIp (default: AUDIT_TRUSTED_PROXIES)
+ * @returns {Function} Express middleware
+ */
+function createAuditContextMiddleware(options = {}) {
+    const getActor = options.getActor || defaultGetActor;
+    const getTenant = options.getTenant || resolveTenant;
+    const requestIdHeader = (options.requestIdHeader || 'x-request-id').toLowerCase();
+    const isTrusted = options.trustedProxies !== undefined ? compileTrustedProxies(options.trustedProxies) : undefined;
+
+    return function auditContextMiddleware(req, res, next) {
+        const supplied = req.get(requestIdHeader);
+        const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+        const trace = parseTraceparent(req.get('traceparent'));
+        const client = resolveClientIp(req, isTrusted);
+
+        req.id = req.id || requestId;
+        res.setHeader(requestIdHeader, requestId);
+
+        const context = {
+            get tenantId() {
+                return getTenant(req) || '';
+            },
+            get actor() {
+                return getActor(req) || {};
+            },
+            ipAddress: client.ip,
+            forwardedChain: client.chain,
+            endpoint: (req.originalUrl || req.url).split('?')[0],
+            httpMethod: req.method,
+            userAgent: req.get('user-agent') || '',
+            get sessionId() {
+                return req.sessionID || req.session?.id || '';
+            },
+            requestId,
+            traceId: trace ? trace.traceId : newTraceId(),
+            spanId: newSpanId(),
+            parentSpanId: trace ? trace.spanId : '',
+            traceFlags: trace ? trace.flags : '01'
+        };
+
+        storage.run(context, next);
+    };
+}
+
+/**
+ * Run a function under a synthetic context for work outside requests
+ *
+ * Rows logged inside get agent `system:<name>` (role `system`), a new
+ * request ID and a new trace.
+ *
+ * @param {string} name - Job name, e.g. 'nightly-cleanup'
+ * @param {Function} fn - Called with no arguments; may return a promise
+ * @param {Object} [options={}]
+ * @param {string} [options.tenantId=''] - Tenant the job works for
+ * @param {string} [options.traceparent] - Continue this trace instead of starting one
+ * @returns {*} Whatever fn returns
+ */
+function runAsSystem(name, fn, { tenantId = '', traceparent } = {}) {
+    const trace = parseTraceparent(traceparent);
+
+    return storage.run({
+        tenantId,
+        actor: { id: `system:${name}`, name, role: 'system' },
+        ipAddress: '',
+        forwardedChain: '',
+        endpoint: '',
+        httpMethod: '',
+        userAgent: '',
+        sessionId: '',
+        requestId: crypto.randomUUID(),
+        traceId: trace ? trace.traceId : newTraceId(),
+        spanId: newSpanId(),
+        parentSpanId: trace ? trace.spanId : '',
+        traceFlags: trace ? trace.flags : '01'
+    }, fn);
+}
+
+/**
+ * Run a function outside any context (rows logged inside inherit nothing)
+ *
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+function runWithoutContext(fn) {
+    return storage.exit(fn);
+}
+
+/**
+ * The current context
+ *
+ * @returns {Object|undefined} undefined outside a request or runAsSystem()
+ */
+function getContext() {
+    return storage.getStore();
+}
+
+/**
+ * `traceparent` header for an outgoing call made from the current context
+ *
+ * @returns {string|null} null outside a context
+ */
+function getTraceparent() {
+    const context = storage.getStore();
+    return context ? `00-${context.traceId}-${context.spanId}-${context.traceFlags}` : null;
+}
+
+/**
+ * Fill log() arguments the caller left out from the current context
+ *
+ * @param {Object} data - log() data
+ * @param {Object} options - log() options
+ * @returns {{data: Object, options: Object}} New objects, or the originals outside a context
+ */
+function applyContext(data, options) {
+    const context = storage.getStore();
+    if (!context) {
+        return { data, options };
+    }
+
+    const actor = missing(data.agentId) ? context.actor : {};
+
+    return {
+        data: {
+            ...data,
+            tenantId: pick(data.tenantId, () => context.tenantId),
+            agentId: pick(data.agentId, () => actor.id),
+            agentName: pick(data.agentName, () => actor.name),
+            agentRole: pick(data.agentRole, () => actor.role),
+            agentEmail: pick(data.agentEmail, () => actor.email),
+            ipAddress: pick(data.ipAddress, () => context.ipAddress),
+            forwardedChain: pick(data.forwardedChain, () => context.forwardedChain),
+            endpoint: pick(data.endpoint, () => context.endpoint),
+            httpMethod: pick(data.httpMethod, () => context.httpMethod)
+        },
+        options: {
+            ...options,
+            userAgent: pick(options.userAgent, () => context.userAgent),
+            sessionId: pick(options.sessionId, () => context.sessionId),
+            requestId: pick(options.requestId, () => context.requestId),
+            traceId: pick(options.traceId, () => context.traceId),
+            spanId: pick(options.spanId, () => context.spanId)
+        }
+    };
+}
+
+/**
+ * Parse a W3C `traceparent` header
+ *
+ * @param {string} [header]
+ * @returns {{traceId: string, spanId: string, flags: string}|null} null when absent or invalid
+ */
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, version, traceId, spanId, flags, rest] = match;
+    // Version ff is invalid; version 00 has exactly four fields
+    if (version === 'ff' || (version === '00' && rest !== undefined)) {
+        return null;
+    }
+    if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+        return null;
+    }
+    return { traceId, spanId, flags };
+}
+
+/**
+ * @private
+ */
+function defaultGetActor(req) {
+    return {
+        id: req.user?.id || req.session?.userId,
+        name: req.user?.name || req.session?.userName,
+        role: req.user?.role || req.session?.userRole,
+        email: req.user?.email
+    };
+}
+
+/**
+ * @private
+ */
+function missing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * The caller's value, or the context's when the caller gave none
+ * @private
+ */
+function pick(value, fromContext) {
+    return missing(value) ? fromContext() : value;
+}
+
+/**
+ * @private
+ */
+function newTraceId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * @private
+ */
+function newSpanId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+const auditContextMiddleware = createAuditContextMiddleware();
+
+module.exports = {
+    auditContextMiddleware,
+    createAuditContextMiddleware,
+    runAsSystem,
+    runWithoutContext,
+    getContext,
+    getTraceparent,
+    applyContext,
+    parseTraceparent
+};
@@ -0,0 +1,395 @@
+/**
+ * Audit Log Export
+ *
+ * Streams a tenant's `audit_logs` rows from ClickHouse to any writable
+ * stream as CSV, NDJSON or Parquet. ClickHouse produces the output format
+ * itself; Node only passes the bytes through, counting and hashing them,
+ * so exports of any size run in constant memory.
+ *
+ * Filters are the search API's (see utils/auditQuery). Without `to`, the
+ * range ends at the start of the export so it can be reproduced later.
+ * Columns can be selected, and masked (`redact`) or replaced by their
+ * HMAC-SHA256 (`hash`, keyed with AUDIT_REDACTION_HMAC_KEY, lowercase hex)
+ * in ClickHouse before they leave the database. It is the same HMAC the
+ * redaction policy and erasure pseudonyms use, so hashed agent IDs start
+ * with the agent's pseudonym. `hash` is refused without a key, with the
+ * example placeholder or with one shorter than 32 bytes: such a hash of an
+ * email or IP address is easily reversed.
+ *
+ * Every export yields a manifest: filters, columns, row count, byte count
+ * and the SHA-256 of the exported bytes. Rows are counted in the stream -
+ * CSV and NDJSON by line, Parquet from the row count in the file footer.
+ *
+ * @module utils/auditExport
+ *
+ * @example
+ * const output = fs.createWriteStream('q1.csv');
+ * const manifest = await exportLogs('acme', { agent_id: 'user_123', from: '2025-01-01', to: '2025-04-01' }, output, {
+ *     format: 'csv',
+ *     redact: ['request_body', 'response_body']
+ * });
+ */
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { client } = require('../config/clickhouse');
+const { InvalidFilterError, buildFilters } = require('./auditQuery');
+const { hmacKeyProblem } = require('./redactionPolicy');
+const { tableFor } = require('./tenant');
+
+const FORMATS = {
+    csv: { clickhouse: 'CSVWithNames', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { clickhouse: 'JSONEachRow', contentType: 'application/x-ndjson', extension: 'ndjson' },
+    parquet: { clickhouse: 'Parquet', contentType: 'application/vnd.apache.parquet', extension: 'parquet' }
+};
+
+// Exportable columns of audit_logs, in export order
+const COLUMNS = [
+    'event_time', 'event_date', 'tenant_id',
+    'agent_id', 'agent_name', 'agent_role', 'agent_email',
+    'action', 'resource_type', 'resource_id', 'resource_name',
+    'ip_address', 'forwarded_chain', 'endpoint', 'http_method', 'status_code', 'response_time_ms',
+    'request_body', 'response_body', 'request_headers', 'response_headers',
+    'old_value', 'new_value',
+    'user_agent', 'session_id', 'request_id', 'trace_id', 'span_id', 'error_message', 'metadata',
+    'chain_id', 'chain_seq', 'prev_hash', 'row_hash'
+];
+
+const MASK = '***REDACTED***';
+
+const NEWLINE = 0x0a;
+const QUOTE = 0x22;
+
+// Parquet files end with the footer, its length (4 bytes) and 'PAR1'
+const PARQUET_MAGIC = 'PAR1';
+// Tail of a Parquet export kept for its footer
+const MAX_PARQUET_FOOTER = 16 * 1024 * 1024;
+
+// HMAC block size of SHA-256, in bytes
+const HMAC_BLOCK_SIZE = 64;
+
+/**
+ * Stream matching rows into `output`
+ *
+ * @param {string} tenantId - Tenant to export ('' when single-tenant)
+ * @param {Object} filters - See auditQuery.buildFilters()
+ * @param {Object} output - Writable stream (file, HTTP response)
+ * @param {Object} [options={}]
+ * @param {string} [options.format='ndjson'] - csv | ndjson | parquet
+ * @param {string[]} [options.columns] - Columns to include (default: all)
+ * @param {string[]} [options.redact=[]] - Columns replaced by a mask
+ * @param {string[]} [options.hash=[]] - Columns replaced by their HMAC-SHA256
+ * @param {AbortSignal} [options.signal] - Cancels the ClickHouse query
+ * @param {boolean} [options.end=true] - End `output` when done (false to add HTTP trailers)
+ * @param {string} [options.id] - Export ID for the manifest (default: random UUID)
+ * @returns {Promise<Object>} Manifest
+ * @throws {InvalidFilterError} For bad filters, formats or columns, and `hash` without a usable AUDIT_REDACTION_HMAC_KEY
+ */
+async function exportLogs(tenantId, filters = {}, output, options = {}) {
+    const plan = planExport(tenantId, filters, options);
+    const startedAt = new Date().toISOString();
+
+    const { stream } = await client.exec({
+        query: `${plan.query}\nFORMAT ${FORMATS[plan.format].clickhouse}`,
+        query_params: plan.params,
+        abort_signal: options.signal,
+        clickhouse_settings: {
+            // WHERE and ORDER BY must see the stored values, not the masked aliases
+            prefer_column_name_to_alias: 1,
+            output_format_parquet_string_as_string: 1,
+            output_format_json_quote_64bit_integers: 0
+        }
+    });
+
+    const digest = new ExportDigest(plan.format);
+    await pipeline(stream, digest, output, { end: options.end !== false });
+
+    return {
+        id: options.id || crypto.randomUUID(),
+        startedAt,
+        completedAt: new Date().toISOString(),
+        tenantId: plan.params.tenantId,
+        table: plan.table,
+        format: plan.format,
+        filters: plan.filters,
+        columns: plan.columns,
+        redacted: plan.redact,
+        hashed: plan.hash,
+        rows: digest.rows(),
+        bytes: digest.bytes,
+        sha256: digest.hash.digest('hex')
+    };
+}
+
+/**
+ * Validate export options and build the query
+ *
+ * @returns {Object} { format, table, query, params, filters, columns, redact, hash }
+ * @throws {InvalidFilterError}
+ * @private
+ */
+function planExport(tenantId, filters, { format = 'ndjson', columns, redact = [], hash = [] }) {
+    if (!FORMATS[format]) {
+        throw new InvalidFilterError(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const selected = parseColumns(columns, 'columns') || COLUMNS;
+    const masked = parseColumns(redact, 'redact') || [];
+    const hashed = parseColumns(hash, 'hash') || [];
+    const keyProblem = hashed.length > 0 ? hmacKeyProblem(process.env.AUDIT_REDACTION_HMAC_KEY) : null;
+    if (keyProblem) {
+        throw new InvalidFilterError(`hash needs a secret HMAC key (${keyProblem}) - use redact instead`);
+    }
+
+    // Pin the range so the manifest describes a reproducible export
+    const effective = { ...filters };
+    delete effective.limit;
+    delete effective.cursor;
+    if (!effective.to) {
+        effective.to = new Date().toISOString();
+    }
+
+    const { conditions, params } = buildFilters(tenantId, effective);
+    if (hashed.length > 0) {
+        Object.assign(params, hmacParams(process.env.AUDIT_REDACTION_HMAC_KEY));
+    }
+
+    const expressions = selected.map(column => {
+        if (masked.includes(column)) {
+            return `'${MASK}' AS ${column}`;
+        }
+        if (hashed.includes(column)) {
+            return `${hmacExpression(`toString(${column})`)} AS ${column}`;
+        }
+        return column;
+    });
+
+    const table = tableFor(params.tenantId);
+
+    return {
+        format,
+        table,
+        filters: effective,
+        columns: selected,
+        redact: masked,
+        hash: hashed,
+        params,
+        query: `
+            SELECT ${expressions.join(', ')}
+            FROM ${table}
+            WHERE ${conditions.join('\n              AND ')}
+            ORDER BY event_time, chain_id, chain_seq`
+    };
+}
+
+/**
+ * HMAC-SHA256 of a String expression as lowercase hex, computed in
+ * ClickHouse - the same value as crypto.createHmac('sha256', key)
+ * .update(value).digest('hex'). Needs the parameters from hmacParams().
+ *
+ * @param {string} expression - SQL expression of type String
+ * @returns {string} SQL expression
+ */
+function hmacExpression(expression) {
+    return `lower(hex(SHA256(concat(unhex({hmacOuterKey:String}), SHA256(concat(unhex({hmacInnerKey:String}), ${expression}))))))`;
+}
+
+/**
+ * Inner and outer padded keys for hmacExpression() (RFC 2104), as hex
+ *
+ * @param {string} key
+ * @returns {{hmacInnerKey: string, hmacOuterKey: string}}
+ */
+function hmacParams(key) {
+    let block = Buffer.from(String(key), 'utf8');
+    if (block.length > HMAC_BLOCK_SIZE) {
+        block = crypto.createHash('sha256').update(block).digest();
+    }
+    block = Buffer.concat([block, Buffer.alloc(HMAC_BLOCK_SIZE - block.length)]);
+
+    return {
+        hmacInnerKey: Buffer.from(block.map(byte => byte ^ 0x36)).toString('hex'),
+        hmacOuterKey: Buffer.from(block.map(byte => byte ^ 0x5c)).toString('hex')
+    };
+}
+
+/**
+ * Parse a column list (array or comma-separated string)
+ *
+ * @returns {string[]|null} null when not given
+ * @throws {InvalidFilterError} For unknown columns
+ * @private
+ */
+function parseColumns(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const columns = (Array.isArray(value) ? value : String(value).split(','))
+        .map(column => String(column).trim())
+        .filter(Boolean);
+
+    const unknown = columns.find(column => !COLUMNS.includes(column));
+    if (unknown) {
+        throw new InvalidFilterError(`Unknown column in ${name}: ${unknown}`);
+    }
+    return columns.length > 0 ? [...new Set(columns)] : null;
+}
+
+/**
+ * Passes bytes through while hashing them and counting rows
+ * @private
+ */
+class ExportDigest extends Transform {
+    constructor(format) {
+        super();
+        this.format = format;
+        this.hash = crypto.createHash('sha256');
+        this.bytes = 0;
+        this.lines = 0;
+        // CSV fields may contain newlines inside quotes
+        this.quoted = false;
+        // Parquet: the last chunks, enough to hold the footer
+        this.tail = [];
+        this.tailBytes = 0;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        this.bytes += chunk.length;
+
+        if (this.format === 'parquet') {
+            this.tail.push(chunk);
+            this.tailBytes += chunk.length;
+            while (this.tailBytes - this.tail[0].length >= MAX_PARQUET_FOOTER) {
+                this.tailBytes -= this.tail.shift().length;
+            }
+        } else if (this.format === 'ndjson') {
+            for (let i = chunk.indexOf(NEWLINE); i !== -1; i = chunk.indexOf(NEWLINE, i + 1)) {
+                this.lines++;
+            }
+        } else if (this.format === 'csv') {
+            for (let i = 0; i < chunk.length; i++) {
+                if (chunk[i] === QUOTE) {
+                    this.quoted = !this.quoted;
+                } else if (chunk[i] === NEWLINE && !this.quoted) {
+                    this.lines++;
+                }
+            }
+        }
+
+        callback(null, chunk);
+    }
+
+    /**
+     * @returns {number}
+     * @throws {Error} When a Parquet footer can't be read
+     */
+    rows() {
+        if (this.format === 'parquet') {
+            return parquetRowCount(Buffer.concat(this.tail));
+        }
+        // CSVWithNames starts with a header line
+        return this.format === 'csv' ? Math.max(0, this.lines - 1) : this.lines;
+    }
+}
+
+/**
+ * Row count from the footer (FileMetaData, Thrift compact protocol) at the
+ * end of a Parquet file
+ *
+ * @param {Buffer} tail - The end of the file, including the whole footer
+ * @returns {number}
+ * @throws {Error} When the footer is missing, cut off or has no num_rows
+ * @private
+ */
+function parquetRowCount(tail) {
+    if (tail.length < 12 || tail.toString('latin1', tail.length - 4) !== PARQUET_MAGIC) {
+        throw new Error('Parquet export has no footer');
+    }
+    const length = tail.readUInt32LE(tail.length - 8);
+    if (length + 8 > tail.length) {
+        throw new Error(`Parquet footer too large to count rows (${length} bytes)`);
+    }
+
+    const footer = tail.subarray(tail.length - 8 - length, tail.length - 8);
+    let pos = 0;
+
+    const byte = () => {
+        if (pos >= footer.length) throw new Error('Parquet footer is cut off');
+        return footer[pos++];
+    };
+    const varint = () => {
+        let value = 0n;
+        for (let shift = 0n; ; shift += 7n) {
+            const b = byte();
+            value |= BigInt(b & 0x7f) << shift;
+            if ((b & 0x80) === 0) return value;
+        }
+    };
+    const zigzag = () => {
+        const value = varint();
+        return (value >> 1n) ^ -(value & 1n);
+    };
+    const skipStruct = () => {
+        for (let header = byte(); header !== 0; header = byte()) {
+            if ((header >> 4) === 0) zigzag();
+            skip(header & 0x0f);
+        }
+    };
+    const skip = type => {
+        switch (type) {
+            case 1: case 2: return;                            // bool (in the field header)
+            case 3: pos++; return;                             // i8
+            case 4: case 5: case 6: varint(); return;          // i16, i32, i64
+            case 7: pos += 8; return;                          // double
+            case 8: {                                          // binary
+                const length = Number(varint());
+                pos += length;
+                return;
+            }
+            case 9: case 10: {                                 // list, set
+                const header = byte();
+                const size = (header >> 4) === 15 ? Number(varint()) : header >> 4;
+                const elementType = header & 0x0f;
+                for (let i = 0; i < size; i++) {
+                    if (elementType === 1 || elementType === 2) pos++;
+                    else skip(elementType);
+                }
+                return;
+            }
+            case 11: {                                         // map
+                const size = Number(varint());
+                if (size === 0) return;
+                const types = byte();
+                for (let i = 0; i < size; i++) {
+                    skip(types >> 4);
+                    skip(types & 0x0f);
+                }
+                return;
+            }
+            case 12: skipStruct(); return;                     // struct
+            default: throw new Error(`Unknown Thrift type ${type} in Parquet footer`);
+        }
+    };
+
+    // FileMetaData: 1 version, 2 schema, 3 num_rows (i64), ...
+    let fieldId = 0;
+    for (let header = byte(); header !== 0; header = byte()) {
+        const type = header & 0x0f;
+        fieldId = (header >> 4) === 0 ? Number(zigzag()) : fieldId + (header >> 4);
+        if (fieldId === 3 && type === 6) {
+            return Number(zigzag());
+        }
+        skip(type);
+    }
+    throw new Error('Parquet footer has no row count');
+}
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    exportLogs,
+    hmacExpression,
+    hmacParams
+};
@@ -7,6 +7,19 @@
  * 
  * Features:
  * - Automatic batch flushing (size-based and time-based)
+ * - Pluggable sinks (ClickHouse, NDJSON files, stdout, webhooks) with fan-out (see utils/sinks)
+ * - Bad-row isolation: rejected batches are bisected so good rows still land
+ * - Optional durable on-disk spool (AUDIT_SPOOL_DIR) with replay on startup
+ * - Rejected rows are dead-lettered to audit_logs_dlq instead of dropped
+ * - Central redaction policy applied to every row (see utils/redactionPolicy)
+ * - Per-field size limits with truncation markers
+ * - Concurrent in-flight batches with per-resource (or strict) ordering
+ * - Awaitable flush() and logAndConfirm() for events that must be stored
+ * - Bounded buffer (rows and bytes) with an overflow policy and awaitable backpressure
+ * - Tamper-evident hash chain over every row (see utils/auditChain)
+ * - Live stream of logged rows to SSE subscribers (see utils/auditStream)
+ * - Alert rules evaluated on every row, with firings logged as ALERT events (see utils/alertRules)
+ * - Missing fields filled from the request context (see utils/auditContext)
  * - Graceful shutdown handling
  * - Error handling with retry logic
  * - Thread-safe operations (Node.js event loop)
@@ -33,31 +46,183 @@
  * });
  */
 
-const { clickhouse } = require('../config/clickhouse');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AuditSpool = require('./auditSpool');
+const deadLetterQueue = require('./deadLetterQueue');
+const { AuditChain } = require('./auditChain');
+const { ChainDropLog } = require('./chainDrops');
+const { toIPv6 } = require('./clientIp');
+const { RedactionPolicy, DEFAULT_POLICY } = require('./redactionPolicy');
+const { Registry } = require('./metrics');
+const { ClickHouseSink, createSinksFromEnv } = require('./sinks');
+const { AuditStream } = require('./auditStream');
+const { AlertEngine } = require('./alertRules');
+const { applyContext, runWithoutContext } = require('./auditContext');
+
+// What to do when a row doesn't fit in the buffer
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'sample', 'spill'];
+
+// Buffer fill ratio above which the 'sample' policy starts sampling low-priority actions
+const SAMPLE_THRESHOLD = 0.8;
+
+// Which rows must reach ClickHouse in the order they were logged.
+// Rows sharing a key are never split across concurrent batches.
+const ORDERING_KEYS = {
+    strict: () => '',
+    resource: row => `${row.resource_type}/${row.resource_id}`,
+    none: null
+};
+
+// Actor of the ALERT rows recording rule firings (not evaluated against the rules)
+const ALERT_AGENT_ID = 'audit-alerts';
+
+// Re-check sink health at scrape time when older than this
+const CONNECTIVITY_CHECK_INTERVAL = 15000;
+
+// Payload columns subject to size limits
+const LIMITED_FIELDS = [
+    'request_body', 'response_body',
+    'request_headers', 'response_headers',
+    'old_value', 'new_value',
+    'metadata'
+];
 
 class AuditLogger {
     constructor() {
         // Buffer to store logs before batch insert
         this.buffer = [];
         
+        // Where rows go - the first sink is primary, the others get copies
+        this.sinks = createSinksFromEnv();
+        this.primary = this.sinks[0];
+        
         // Configuration from environment variables
         this.BATCH_SIZE = parseInt(process.env.AUDIT_BATCH_SIZE || '100');
         this.FLUSH_INTERVAL = parseInt(process.env.AUDIT_FLUSH_INTERVAL || '5000');
         
+        // Concurrent inserts and which rows must stay in order across them
+        this.MAX_IN_FLIGHT = Math.max(1, parseInt(process.env.AUDIT_MAX_IN_FLIGHT_BATCHES || '4'));
+        this.ordering = process.env.AUDIT_INSERT_ORDERING || 'resource';
+        if (!(this.ordering in ORDERING_KEYS)) {
+            throw new Error(`AUDIT_INSERT_ORDERING must be one of ${Object.keys(ORDERING_KEYS).join(', ')}`);
+        }
+        
+        // Default wait for logAndConfirm() and for the final flush on shutdown
+        this.CONFIRM_TIMEOUT = parseInt(process.env.AUDIT_CONFIRM_TIMEOUT || '30000');
+        this.SHUTDOWN_TIMEOUT = parseInt(process.env.AUDIT_SHUTDOWN_TIMEOUT || '10000');
+        
+        // Optional write-ahead spool - replays unacknowledged rows on startup
+        this.spool = process.env.AUDIT_SPOOL_DIR
+            ? new AuditSpool({
+                directory: process.env.AUDIT_SPOOL_DIR,
+                segmentBytes: parseInt(process.env.AUDIT_SPOOL_SEGMENT_BYTES || String(16 * 1024 * 1024)),
+                fsync: process.env.AUDIT_SPOOL_FSYNC === 'true'
+            })
+            : null;
+        
+        // Buffer bounds (0 = unlimited) and what happens to rows that don't fit
+        this.MAX_BUFFER_ROWS = parseInt(process.env.AUDIT_BUFFER_MAX_ROWS || '10000');
+        this.MAX_BUFFER_BYTES = parseInt(process.env.AUDIT_BUFFER_MAX_BYTES || String(64 * 1024 * 1024));
+        this.overflowPolicy = process.env.AUDIT_OVERFLOW_POLICY || (this.spool ? 'spill' : 'drop-oldest');
+        if (!OVERFLOW_POLICIES.includes(this.overflowPolicy)) {
+            throw new Error(`AUDIT_OVERFLOW_POLICY must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+        }
+        if (this.overflowPolicy === 'spill' && !this.spool) {
+            console.warn('⚠️  AUDIT_OVERFLOW_POLICY=spill needs AUDIT_SPOOL_DIR - using drop-oldest');
+            this.overflowPolicy = 'drop-oldest';
+        }
+        this.lowPriorityActions = new Set((process.env.AUDIT_LOW_PRIORITY_ACTIONS || 'READ')
+            .split(',').map(action => action.trim()).filter(Boolean));
+        this.sampleRate = parseFloat(process.env.AUDIT_OVERFLOW_SAMPLE_RATE || '0.1');
+        
+        // Estimated bytes of buffered rows (row -> estimate cached in rowBytes)
+        this.bufferBytes = 0;
+        this.rowBytes = new WeakMap();
+        
+        // log() callers waiting for the buffer to drain below its bounds
+        this.waiters = [];
+        this.overflowReported = false;
+        
+        // Rows from logAndConfirm() - never dropped by the overflow policy
+        this.critical = new WeakSet();
+        
+        // flush() / logAndConfirm() trackers per row (keyed by chain position,
+        // which survives a spill to disk and replay)
+        this.confirmations = new Map();
+        
+        // Live subscribers (GET /admin/audit-stream)
+        this.stream = new AuditStream({
+            maxSubscribers: parseInt(process.env.AUDIT_STREAM_MAX_SUBSCRIBERS || '50'),
+            queueSize: parseInt(process.env.AUDIT_STREAM_QUEUE_SIZE || '1000'),
+            heartbeatInterval: parseInt(process.env.AUDIT_STREAM_HEARTBEAT_INTERVAL || '15000')
+        });
+        
+        // Redaction policy - JSON/JS file from AUDIT_REDACTION_POLICY or the default
+        this.setRedactionPolicy(process.env.AUDIT_REDACTION_POLICY
+            ? require(path.resolve(process.env.AUDIT_REDACTION_POLICY))
+            : DEFAULT_POLICY);
+        
+        // Alert rules - JSON/JS file from AUDIT_ALERT_RULES, none by default
+        this.setAlertRules(process.env.AUDIT_ALERT_RULES
+            ? require(path.resolve(process.env.AUDIT_ALERT_RULES))
+            : { rules: [] });
+        
+        // Max bytes per payload column: AUDIT_MAX_<FIELD>_BYTES, else AUDIT_MAX_FIELD_BYTES (0 = unlimited)
+        this.fieldLimits = {};
+        LIMITED_FIELDS.forEach(field => {
+            this.fieldLimits[field] = parseInt(
+                process.env[`AUDIT_MAX_${field.toUpperCase()}_BYTES`] || process.env.AUDIT_MAX_FIELD_BYTES || '65536'
+            );
+        });
+        
+        // Hash chain - every row links to the previous one. Each process starts
+        // its own chain: a fixed ID would restart at chain_seq 1 on every start
+        if (process.env.AUDIT_CHAIN_ID) {
+            console.warn('⚠️  AUDIT_CHAIN_ID is no longer supported - each process gets its own chain ID');
+        }
+        this.chain = new AuditChain();
+        if (process.env.AUDIT_CHAIN_SIGNING_KEY) {
+            this.chain.startCheckpoints({
+                file: process.env.AUDIT_CHAIN_CHECKPOINT_FILE || 'audit-chain-checkpoints.ndjson',
+                privateKey: fs.readFileSync(process.env.AUDIT_CHAIN_SIGNING_KEY, 'utf8'),
+                interval: parseInt(process.env.AUDIT_CHAIN_CHECKPOINT_INTERVAL || '60000')
+            });
+        }
+        
+        // Chain positions of sealed rows dropped for good, for verify:chain (which reads ClickHouse)
+        this.chainDrops = this.sinks.some(sink => sink instanceof ClickHouseSink) ? new ChainDropLog() : null;
+        
         // State management
-        this.isInserting = false;
+        this.batches = new Set();
         this.insertCount = 0;
         this.errorCount = 0;
         this.totalLogsInserted = 0;
+        this.isolatedBadRows = 0;
+        this.deadLettered = 0;
+        this.truncatedFields = 0;
+        this.dropped = {};
+        this.spilled = 0;
+        this.lastFlush = null;
+        
+        // Prometheus metrics (GET /metrics)
+        this.metrics = this.createMetrics();
         
         // Startup logging
         this.logStartup();
         
         // Start auto-flush timer
         this.flushTimer = setInterval(() => {
-            this.flush();
+            this.dispatch();
+            if (this.chainDrops) {
+                this.chainDrops.flush();
+            }
         }, this.FLUSH_INTERVAL);
         
+        // Run at the start of shutdown() by code that holds rows back (see onShutdown())
+        this.shutdownHooks = [];
+        
         // Handle graceful shutdown
         process.on('SIGTERM', () => this.shutdown());
         process.on('SIGINT', () => this.shutdown());
@@ -74,7 +239,13 @@ class AuditLogger {
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         console.log(`   Batch Size: ${this.BATCH_SIZE} logs`);
         console.log(`   Flush Interval: ${this.FLUSH_INTERVAL}ms`);
+        console.log(`   In-Flight Batches: ${this.MAX_IN_FLIGHT} (ordering: ${this.ordering})`);
         console.log(`   Batching: ENABLED ✅`);
+        console.log(`   Sinks: ${this.sinks.map(sink => (sink === this.primary ? `${sink.name} (primary)` : sink.name)).join(', ')}`);
+        console.log(`   Spool: ${this.spool ? this.spool.directory : 'DISABLED'}`);
+        console.log(`   Buffer Limit: ${this.MAX_BUFFER_ROWS || '∞'} rows / ${this.MAX_BUFFER_BYTES ? `${Math.round(this.MAX_BUFFER_BYTES / 1024 / 1024)} MB` : '∞'} (${this.overflowPolicy})`);
+        console.log(`   Hash Chain: ${this.chain.chainId}`);
+        console.log(`   Alert Rules: ${this.alerts.rules.length || 'NONE'}`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     }
     
@@ -82,13 +253,18 @@ class AuditLogger {
      * Add log entry to buffer (does NOT insert immediately)
      * Logs are buffered and inserted in batches automatically
      * 
+     * Inside a request (or runAsSystem()), fields left out are taken from
+     * the current audit context - see utils/auditContext.
+     * 
      * @param {Object} data - Required log data
+     * @param {string} [data.tenantId] - Tenant the event belongs to ('' when single-tenant)
      * @param {string} data.agentId - User/agent unique identifier
      * @param {string} data.agentName - User/agent display name
      * @param {string} data.action - Action performed (CREATE, UPDATE, DELETE, READ)
      * @param {string} data.resourceType - Type of resource (function, user, setting, etc.)
      * @param {string} data.resourceId - Unique ID of the resource
-     * @param {string} data.ipAddress - Client IP address
+     * @param {string} data.ipAddress - Client IP address (IPv4 or IPv6)
+     * @param {string} [data.forwardedChain] - Raw Forwarded / X-Forwarded-For header
      * @param {string} data.endpoint - API endpoint path
      * @param {string} data.httpMethod - HTTP method (GET, POST, PUT, DELETE, etc.)
      * 
@@ -101,16 +277,84 @@ class AuditLogger {
      * @param {string|Object} [options.newValue] - State after change (for CREATE/UPDATE)
      * @param {string} [options.userAgent] - Browser/client user agent
      * @param {string} [options.sessionId] - Session identifier
-     * @param {string} [options.requestId] - Unique request/trace ID
+     * @param {string} [options.requestId] - Unique request ID
+     * @param {string} [options.traceId] - W3C trace ID (32 hex)
+     * @param {string} [options.spanId] - W3C span ID (16 hex)
      * @param {string} [options.errorMessage] - Error message if failed
      * @param {Object} [options.metadata] - Additional flexible data
+     * @returns {Promise<void>} Resolves once the buffer is below its bounds -
+     *   await it to slow down while ClickHouse can't keep up (fire-and-forget callers may ignore it)
      */
     log(data, options = {}) {
+        this.enqueue(this.formatEntry(data, options));
+        return this.waitForCapacity();
+    }
+    
+    /**
+     * Log a row built earlier with formatEntry()
+     * 
+     * For callers that hold an event back before logging it (e.g. READ
+     * de-duplication windows): the row was redacted when it was built and
+     * keeps that event_time.
+     * 
+     * @param {Object} row - Row from formatEntry(), not yet sealed
+     * @returns {Promise<void>} Same as log()
+     */
+    logFormatted(row) {
+        this.enqueue(row);
+        return this.waitForCapacity();
+    }
+    
+    /**
+     * Log a critical event and wait until ClickHouse has stored it
+     * 
+     * The row skips the overflow policy (it is never refused, sampled or
+     * dropped) and is sent right away instead of waiting for a full batch.
+     * On timeout the row stays queued and is still inserted later.
+     * 
+     * @param {Object} data - Same as log()
+     * @param {Object} [options={}] - Same as log()
+     * @param {Object} [confirm={}]
+     * @param {number} [confirm.timeout=AUDIT_CONFIRM_TIMEOUT] - Milliseconds to wait (0 = no limit)
+     * @returns {Promise<{chainId: string, chainSeq: number}>} Position of the stored row in the hash chain
+     * @throws {AuditDeliveryError} When the row was dead-lettered or not confirmed in time
+     */
+    async logAndConfirm(data, options = {}, { timeout = this.CONFIRM_TIMEOUT } = {}) {
+        const row = this.formatEntry(data, options);
+        this.enqueue(row, { critical: true });
+        
+        const confirmation = this.track([row], timeout);
+        this.dispatch();
+        
+        const outcome = await confirmation;
+        if (outcome.deadLettered > 0) {
+            throw new AuditDeliveryError('Audit row was rejected by ClickHouse and dead-lettered', 'dead_lettered');
+        }
+        if (outcome.dropped > 0) {
+            throw new AuditDeliveryError('Audit row was dropped before it could be stored', 'dropped');
+        }
+        return { chainId: row.chain_id, chainSeq: row.chain_seq };
+    }
+    
+    /**
+     * Build a redacted, size-limited audit row from log() arguments
+     * (context is applied and event_time set now - see logFormatted())
+     * 
+     * @param {Object} data - Same as log()
+     * @param {Object} [options={}] - Same as log()
+     * @returns {Object} Row in audit_logs column format (not yet sealed)
+     */
+    formatEntry(data, options = {}) {
+        ({ data, options } = applyContext(data, options));
+        
         const logEntry = {
             // Timestamp fields
             event_time: new Date().toISOString(),
             event_date: new Date().toISOString().split('T')[0],
             
+            // Tenant ('' when single-tenant)
+            tenant_id: String(data.tenantId || ''),
+            
             // Agent/User information (REQUIRED)
             agent_id: String(data.agentId || 'unknown'),
             agent_name: String(data.agentName || 'Unknown'),
@@ -124,7 +368,8 @@ class AuditLogger {
             resource_name: String(data.resourceName || ''),
             
             // Request context (REQUIRED)
-            ip_address: String(data.ipAddress || '0.0.0.0'),
+            ip_address: toIPv6(data.ipAddress),
+            forwarded_chain: String(data.forwardedChain || ''),
             endpoint: String(data.endpoint || ''),
             http_method: String(data.httpMethod || 'GET'),
             
@@ -146,17 +391,363 @@ class AuditLogger {
             user_agent: String(options.userAgent || ''),
             session_id: String(options.sessionId || ''),
             request_id: String(options.requestId || ''),
+            trace_id: String(options.traceId || ''),
+            span_id: String(options.spanId || ''),
             error_message: String(options.errorMessage || ''),
             metadata: this.toJSON(options.metadata || '{}')
         };
         
+        // Redact before the row is hashed, spooled or buffered
+        this.redaction.redactRow(logEntry);
+        
+        // Cap oversized payloads (after redaction so previews never leak secrets)
+        this.limitFieldSizes(logEntry);
+        
+        return logEntry;
+    }
+    
+    /**
+     * Seal, spool and buffer a formatted row
+     * 
+     * @param {Object} logEntry - Row from formatEntry()
+     * @param {Object} [options={}]
+     * @param {boolean} [options.critical=false] - Exempt from the overflow policy
+     * @private
+     */
+    enqueue(logEntry, { critical = false } = {}) {
+        this.metrics.logged.inc();
+        this.metrics.byAction.inc({ action: logEntry.action });
+        this.metrics.byResourceType.inc({ resource_type: logEntry.resource_type });
+        
+        // Rows refused on arrival are never sealed, so they leave no chain gap
+        const refusal = critical ? null : this.refuseReason(logEntry);
+        if (refusal) {
+            this.recordDrop(refusal, 1);
+            return;
+        }
+        
+        // Link into the hash chain before anything can persist it
+        this.chain.seal(logEntry);
+        
+        // Persist to the spool first so a crash can't lose it
+        if (this.spool) {
+            this.spool.append(logEntry);
+        }
+        
+        // Subscribers are written to on a later tick
+        this.stream.publish(logEntry);
+        
+        if (logEntry.agent_id !== ALERT_AGENT_ID) {
+            this.alerts.evaluate(logEntry);
+        }
+        
+        // Secondary sinks batch and retry on their own
+        for (let i = 1; i < this.sinks.length; i++) {
+            this.sinks[i].enqueue(logEntry);
+        }
+        
         // Add to buffer (NOT inserting yet!)
+        if (critical) {
+            this.critical.add(logEntry);
+        }
         this.buffer.push(logEntry);
+        this.bufferBytes += this.sizeOf(logEntry);
+        this.enforceBufferBounds();
         
         // Check if buffer is full - if so, flush immediately
         if (this.buffer.length >= this.BATCH_SIZE) {
             console.log(`📦 Buffer full (${this.buffer.length}/${this.BATCH_SIZE}), flushing now...`);
-            this.flush();
+            this.dispatch();
+        }
+    }
+    
+    /**
+     * Whether a new row must be refused under the overflow policy
+     * 
+     * @param {Object} row - Formatted audit row
+     * @returns {string|null} Drop reason, or null to accept the row
+     * @private
+     */
+    refuseReason(row) {
+        const fits = !this.isOverBounds(1, this.sizeOf(row));
+        
+        if (this.overflowPolicy === 'drop-newest') {
+            return fits ? null : 'drop_newest';
+        }
+        if (this.overflowPolicy === 'sample' && this.lowPriorityActions.has(row.action)) {
+            if (!fits) {
+                return 'low_priority';
+            }
+            const filling = this.MAX_BUFFER_ROWS > 0 && this.buffer.length >= this.MAX_BUFFER_ROWS * SAMPLE_THRESHOLD
+                || this.MAX_BUFFER_BYTES > 0 && this.bufferBytes >= this.MAX_BUFFER_BYTES * SAMPLE_THRESHOLD;
+            return filling && Math.random() >= this.sampleRate ? 'sampled_out' : null;
+        }
+        return null;
+    }
+    
+    /**
+     * Bring the buffer back within its bounds by dropping or spilling rows
+     * (rows from logAndConfirm() are never dropped)
+     * @private
+     */
+    enforceBufferBounds() {
+        if (!this.isOverBounds()) {
+            return;
+        }
+        
+        if (this.overflowPolicy === 'spill') {
+            const excess = this.buffer.slice(0, this.excessRows());
+            const inFlight = [...this.batches].flatMap(batch => batch.rows);
+            const isEvicted = this.spool.evict(excess, inFlight);
+            const before = this.buffer.length;
+            
+            // Whole spool segments are evicted - they are read back once ClickHouse keeps up.
+            // Segments shared with a batch in flight stay, and drop_oldest below sheds what's left
+            this.setBuffer(this.buffer.filter(row => !isEvicted(row)));
+            const spilled = before - this.buffer.length;
+            if (spilled > 0) {
+                this.spilled += spilled;
+                this.metrics.spilled.inc({}, spilled);
+                console.error(`💾 Buffer over its bounds, ${spilled} logs left in spool for replay`);
+            }
+        }
+        
+        if (this.overflowPolicy === 'sample') {
+            // Displace buffered low-priority rows first
+            this.shed('low_priority', { filter: row => this.lowPriorityActions.has(row.action) });
+        }
+        
+        if (this.overflowPolicy === 'drop-newest') {
+            // Only reached when re-queued rows overflow the buffer
+            this.shed('drop_newest', { newestFirst: true });
+        }
+        
+        // drop-oldest, and the fallback when nothing else freed enough room
+        this.shed('drop_oldest');
+    }
+    
+    /**
+     * Drop rows until the buffer fits its bounds
+     * 
+     * @param {string} reason - Drop reason for statistics
+     * @param {Object} [options={}]
+     * @param {boolean} [options.newestFirst=false] - Drop from the end of the buffer
+     * @param {Function} [options.filter] - Only rows passing this may be dropped
+     * @private
+     */
+    shed(reason, { newestFirst = false, filter = () => true } = {}) {
+        const candidates = newestFirst ? [...this.buffer].reverse() : this.buffer;
+        const dropped = new Set();
+        let rows = this.buffer.length;
+        let bytes = this.bufferBytes;
+        
+        for (const row of candidates) {
+            if (!this.exceedsBounds(rows, bytes)) break;
+            if (this.critical.has(row) || !filter(row)) continue;
+            
+            dropped.add(row);
+            rows--;
+            bytes -= this.sizeOf(row);
+        }
+        
+        if (dropped.size > 0) {
+            this.discard([...dropped], reason);
+            this.setBuffer(this.buffer.filter(row => !dropped.has(row)));
+        }
+    }
+    
+    /**
+     * Whether the buffer (plus an incoming row) exceeds its bounds
+     * @private
+     */
+    isOverBounds(extraRows = 0, extraBytes = 0) {
+        return this.exceedsBounds(this.buffer.length + extraRows, this.bufferBytes + extraBytes);
+    }
+    
+    /**
+     * @private
+     */
+    exceedsBounds(rows, bytes) {
+        return (this.MAX_BUFFER_ROWS > 0 && rows > this.MAX_BUFFER_ROWS)
+            || (this.MAX_BUFFER_BYTES > 0 && bytes > this.MAX_BUFFER_BYTES);
+    }
+    
+    /**
+     * Number of rows to remove from the front of the buffer to fit its bounds
+     * @private
+     */
+    excessRows() {
+        let count = 0;
+        let rows = this.buffer.length;
+        let bytes = this.bufferBytes;
+        
+        while (this.exceedsBounds(rows, bytes) && count < this.buffer.length) {
+            rows--;
+            bytes -= this.sizeOf(this.buffer[count++]);
+        }
+        return count;
+    }
+    
+    /**
+     * Drop rows for good: counted by reason, acknowledged in the spool so
+     * they are not replayed, and their chain positions recorded
+     * @private
+     */
+    discard(rows, reason) {
+        if (rows.length === 0) return;
+        
+        if (this.spool) {
+            this.spool.ack(rows);
+        }
+        this.recordDrop(reason, rows.length, rows);
+        this.settle(rows, 'dropped');
+        
+        // Once per flush cycle - under sustained overload every log() drops a row
+        if (!this.overflowReported) {
+            this.overflowReported = true;
+            console.error(`⚠️  Buffer over its bounds, dropping logs (${reason}) until ClickHouse catches up`);
+        }
+    }
+    
+    /**
+     * Count dropped rows, and record the chain positions of sealed ones
+     * 
+     * @param {string} reason
+     * @param {number} count
+     * @param {Object[]} [sealed=[]] - Dropped rows that were already sealed
+     * @private
+     */
+    recordDrop(reason, count, sealed = []) {
+        this.dropped[reason] = (this.dropped[reason] || 0) + count;
+        this.metrics.dropped.inc({ reason }, count);
+        if (this.chainDrops && sealed.length > 0) {
+            this.chainDrops.record(sealed, reason);
+        }
+    }
+    
+    /**
+     * Replace the buffer, keeping the byte estimate in step
+     * @private
+     */
+    setBuffer(rows) {
+        this.buffer = rows;
+        this.bufferBytes = rows.reduce((total, row) => total + this.sizeOf(row), 0);
+        this.releaseWaiters();
+    }
+    
+    /**
+     * Promise resolving once the buffer is within its bounds
+     * @private
+     */
+    waitForCapacity() {
+        if (!this.isOverBounds(1)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiters.push(resolve));
+    }
+    
+    /**
+     * @private
+     */
+    releaseWaiters() {
+        if (this.waiters.length > 0 && !this.isOverBounds(1)) {
+            this.waiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+    
+    /**
+     * Estimated in-memory size of a row (its JSON length), cached per row
+     * @private
+     */
+    sizeOf(row) {
+        let bytes = this.rowBytes.get(row);
+        if (bytes === undefined) {
+            bytes = 2;
+            for (const [key, value] of Object.entries(row)) {
+                bytes += key.length + String(value).length + 6;
+            }
+            this.rowBytes.set(row, bytes);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Replace the redaction policy applied to every logged row
+     * 
+     * @param {Object} config - Policy ({ rules, routes }), see utils/redactionPolicy
+     */
+    setRedactionPolicy(config) {
+        this.redaction = new RedactionPolicy(config, {
+            hmacKey: process.env.AUDIT_REDACTION_HMAC_KEY
+        });
+    }
+    
+    /**
+     * Replace the alert rules evaluated on every logged row
+     * 
+     * @param {Object} config - { rules, notifiers }, see utils/alertRules
+     */
+    setAlertRules(config) {
+        this.alerts = new AlertEngine(config, {
+            onFire: firing => this.recordFiring(firing)
+        });
+    }
+    
+    /**
+     * Count a rule firing and record it as an ALERT audit event
+     * 
+     * @param {Object} firing - From AlertEngine
+     * @private
+     */
+    recordFiring(firing) {
+        this.metrics.alertsFired.inc({ rule: firing.rule });
+        console.warn(`🚨 Alert "${firing.rule}" (${firing.severity}): ${firing.count} matching event(s) for ${JSON.stringify(firing.group)}`);
+        
+        // Not from inside enqueue() of the row that triggered it, and
+        // without inheriting that row's request context
+        runWithoutContext(() => setImmediate(() => this.log({
+            tenantId: firing.tenantId,
+            agentId: ALERT_AGENT_ID,
+            agentName: 'Audit Alert Engine',
+            agentRole: 'system',
+            action: 'ALERT',
+            resourceType: 'alert_rule',
+            resourceId: firing.rule,
+            resourceName: firing.description
+        }, {
+            metadata: firing
+        })));
+    }
+    
+    /**
+     * Replace payload columns over their byte limit with a truncation marker
+     * recording the original size, a SHA-256 of the full value and a preview
+     * 
+     * @param {Object} row - Formatted audit row
+     * @private
+     */
+    limitFieldSizes(row) {
+        for (const field of LIMITED_FIELDS) {
+            const value = row[field];
+            const limit = this.fieldLimits[field];
+            if (!limit || typeof value !== 'string') continue;
+            
+            const bytes = Buffer.byteLength(value);
+            if (bytes <= limit) continue;
+            
+            // Half the limit leaves room for JSON escaping of the preview
+            const preview = Buffer.from(value)
+                .subarray(0, Math.floor(limit / 2))
+                .toString('utf8')
+                .replace(/\uFFFD+$/, '');
+            
+            row[field] = JSON.stringify({
+                _truncated: true,
+                originalBytes: bytes,
+                sha256: crypto.createHash('sha256').update(value).digest('hex'),
+                preview
+            });
+            this.truncatedFields++;
         }
     }
     
@@ -171,74 +762,390 @@ class AuditLogger {
             return value;
         }
         if (typeof value === 'object' && value !== null) {
-            return JSON.stringify(value);
+            try {
+                return JSON.stringify(value);
+            } catch (e) {
+                // Circular or otherwise unserializable
+                return String(value);
+            }
         }
         return String(value);
     }
     
     /**
-     * Flush buffer - INSERT logs in batch to ClickHouse
-     * This is where the actual batch insert happens
+     * Flush buffer - INSERT logs in batches to ClickHouse
      * 
-     * @returns {Promise<void>}
+     * Resolves once every row buffered or in flight at call time has been
+     * stored (inserted or dead-lettered) or dropped by the overflow policy.
+     * Failed batches are retried by the flush timer meanwhile, so this
+     * waits through ClickHouse outages unless a timeout is given.
+     * 
+     * @param {Object} [options={}]
+     * @param {number} [options.timeout=0] - Milliseconds to wait (0 = no limit)
+     * @returns {Promise<{inserted: number, deadLettered: number, dropped: number}>} Outcome of the awaited rows
+     * @throws {AuditDeliveryError} On timeout (the rows stay queued)
      */
-    async flush() {
-        // Skip if already inserting or buffer is empty
-        if (this.isInserting || this.buffer.length === 0) {
-            return;
+    flush({ timeout = 0 } = {}) {
+        const rows = [...this.buffer];
+        for (const batch of this.batches) {
+            rows.push(...batch.rows);
         }
         
-        this.isInserting = true;
+        const confirmation = this.track(rows, timeout);
+        this.dispatch();
+        return confirmation;
+    }
+    
+    /**
+     * Start batch inserts while there are rows and free in-flight slots
+     * @private
+     */
+    dispatch() {
+        // Read spooled rows back in while there is room in the buffer
+        if (this.batches.size < this.MAX_IN_FLIGHT && this.spool && this.spool.hasReplayPending() && this.buffer.length < this.BATCH_SIZE) {
+            this.setBuffer(this.spool.takeReplayRows().concat(this.buffer));
+        }
+        
+        while (this.batches.size < this.MAX_IN_FLIGHT && this.buffer.length > 0) {
+            const batch = this.takeBatch();
+            if (batch.rows.length === 0) {
+                // Everything left is ordered behind a batch in flight
+                break;
+            }
+            this.insertBatch(batch);
+        }
+    }
+    
+    /**
+     * Take the next batch off the buffer
+     * 
+     * Spreads a backlog over the free in-flight slots. With an ordering key,
+     * a row is held back while an earlier row with the same key is in flight
+     * or held back, so a failed batch can't be overtaken on retry.
+     * 
+     * @returns {{rows: Object[], keys: Set<string>}}
+     * @private
+     */
+    takeBatch() {
+        const limit = Math.max(this.BATCH_SIZE, Math.ceil(this.buffer.length / (this.MAX_IN_FLIGHT - this.batches.size)));
+        const keyOf = ORDERING_KEYS[this.ordering];
         
-        // Take all logs from buffer
-        const logsToInsert = [...this.buffer];
+        if (!keyOf) {
+            const rows = this.buffer.slice(0, limit);
+            this.setBuffer(this.buffer.slice(limit));
+            return { rows, keys: new Set() };
+        }
+        
+        const busy = new Set();
+        for (const batch of this.batches) {
+            batch.keys.forEach(key => busy.add(key));
+        }
+        
+        const rows = [];
+        const keys = new Set();
+        const remaining = [];
+        for (const row of this.buffer) {
+            const key = keyOf(row);
+            if (rows.length < limit && !busy.has(key)) {
+                rows.push(row);
+                keys.add(key);
+            } else {
+                remaining.push(row);
+                busy.add(key);
+            }
+        }
+        
+        this.setBuffer(remaining);
+        return { rows, keys };
+    }
+    
+    /**
+     * Insert one batch, then settle its rows or re-queue them for retry
+     * 
+     * @param {{rows: Object[], keys: Set<string>}} batch
+     * @returns {Promise<void>}
+     * @private
+     */
+    async insertBatch(batch) {
+        const logsToInsert = batch.rows;
         const batchSize = logsToInsert.length;
         
-        // Clear buffer immediately to accept new logs
-        this.buffer = [];
+        this.batches.add(batch);
+        this.overflowReported = false;
         
+        let succeeded = false;
         try {
             const startTime = Date.now();
             
-            // ⚠️ SIMPLIFIED APPROACH - Insert one record at a time to test
-            console.log(`📤 Inserting ${batchSize} logs individually...`);
-            let successCount = 0;
+            console.log(`📤 Inserting batch of ${batchSize} logs...`);
+            const result = await this.primary.deliver(logsToInsert);
+            
+            const duration = Date.now() - startTime;
+            const logsPerSecond = Math.round(result.written.length / Math.max(duration, 1) * 1000);
+            
+            this.totalLogsInserted += result.written.length;
+            this.isolatedBadRows += result.rejected.length;
+            this.metrics.inserted.inc({}, result.written.length);
+            this.metrics.flushDuration.observe(duration / 1000);
+            this.metrics.batchSize.observe(batchSize);
+            this.lastFlush = {
+                finishedAt: new Date().toISOString(),
+                durationMs: duration,
+                rows: result.written.length,
+                rowsPerSecond: logsPerSecond,
+                isolatedBadRows: result.rejected.length
+            };
+            
+            result.rejected.forEach(({ row, error }) => {
+                console.error(`❌ Rejected audit row (${row.action} ${row.resource_type}/${row.resource_id}): ${error}`);
+            });
             
-            for (const log of logsToInsert) {
+            let resolved = result.written;
+            let deadLettered = [];
+            
+            if (result.rejected.length > 0 && !(this.primary instanceof ClickHouseSink)) {
+                // The dead-letter table lives in ClickHouse - elsewhere rejected rows are dropped
+                const rejectedRows = result.rejected.map(({ row }) => row);
+                resolved = resolved.concat(rejectedRows);
+                this.recordDrop('rejected', rejectedRows.length, rejectedRows);
+                this.settle(rejectedRows, 'dropped');
+            } else if (result.rejected.length > 0) {
+                const rejectedRows = result.rejected.map(({ row }) => row);
+                
                 try {
-                    // Use the same approach as connection test that works
-                    await clickhouse.insert('INSERT INTO audit_logs', [log]);
-                    successCount++;
-                } catch (singleError) {
-                    console.error(`❌ Single insert failed: ${singleError.message}`);
+                    await deadLetterQueue.add(result.rejected);
+                    this.deadLettered += rejectedRows.length;
+                    result.rejected.forEach(({ type }) => this.metrics.deadLettered.inc({ reason: type || 'UNKNOWN' }));
+                    resolved = resolved.concat(rejectedRows);
+                    deadLettered = rejectedRows;
+                    console.log(`🪦 Dead-lettered ${rejectedRows.length} rejected logs`);
+                } catch (dlqError) {
+                    // Keep them for retry rather than lose them
+                    console.error(`❌ Dead-letter write failed: ${dlqError.message}`);
+                    result.pending = rejectedRows.concat(result.pending);
+                    result.error = result.error || dlqError;
                 }
             }
             
-            const duration = Date.now() - startTime;
-            const logsPerSecond = Math.round(successCount / duration * 1000);
+            if (this.spool) {
+                this.spool.ack(resolved);
+            }
+            this.settle(result.written, 'inserted');
+            this.settle(deadLettered, 'deadLettered');
+            
+            if (result.pending.length > 0) {
+                // ClickHouse became unreachable part-way through
+                // (or rejected rows could not be dead-lettered)
+                throw Object.assign(result.error, { pending: result.pending });
+            }
             
             this.insertCount++;
-            this.totalLogsInserted += successCount;
+            this.metrics.flushes.inc({ result: 'success' });
             
-            console.log(`✅ Batch #${this.insertCount}: ${successCount}/${batchSize} logs in ${duration}ms (${logsPerSecond.toLocaleString()} logs/sec)`);
+            succeeded = true;
+            console.log(`✅ Batch #${this.insertCount}: ${result.written.length}/${batchSize} logs in ${duration}ms (${logsPerSecond.toLocaleString()} logs/sec)`);
             
         } catch (error) {
             this.errorCount++;
+            this.metrics.flushes.inc({ result: 'failure' });
             console.error(`❌ Batch insert failed (error #${this.errorCount}):`, error.message);
             
-            // Re-add to buffer for retry (prevent data loss)
-            // But limit buffer size to prevent memory issues
-            if (this.buffer.length < 10000) {
-                this.buffer.unshift(...logsToInsert);
-                console.log(`♻️  Re-queued ${batchSize} logs for retry`);
-            } else {
-                console.error(`⚠️  Buffer overflow (${this.buffer.length} logs), dropping ${batchSize} logs`);
-            }
+            // Only rows that were never confirmed go back for retry
+            const retryLogs = error.pending || logsToInsert;
+            
+            // Re-add to buffer for retry (prevent data loss);
+            // the overflow policy keeps the buffer within its bounds
+            this.setBuffer(retryLogs.concat(this.buffer));
+            console.log(`♻️  Re-queued ${retryLogs.length} logs for retry`);
+            this.enforceBufferBounds();
         } finally {
-            this.isInserting = false;
+            this.batches.delete(batch);
+        }
+        
+        // Keep draining a backlog, or rows someone is waiting for;
+        // after a failure the flush timer retries
+        if (succeeded && (this.buffer.length >= this.BATCH_SIZE || (this.confirmations.size > 0 && this.buffer.length > 0))) {
+            this.dispatch();
         }
     }
     
+    /**
+     * Promise settled once every tracked row is stored or dropped
+     * 
+     * @param {Object[]} rows - Sealed rows
+     * @param {number} timeout - Milliseconds (0 = no limit)
+     * @returns {Promise<{inserted: number, deadLettered: number, dropped: number}>}
+     * @private
+     */
+    track(rows, timeout) {
+        const outcome = { inserted: 0, deadLettered: 0, dropped: 0 };
+        const keys = [...new Set(rows.map(confirmationKey))];
+        if (keys.length === 0) {
+            return Promise.resolve(outcome);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const tracker = { remaining: keys.length, outcome, resolve, timer: null };
+            
+            if (timeout > 0) {
+                tracker.timer = setTimeout(() => {
+                    keys.forEach(key => {
+                        const trackers = this.confirmations.get(key);
+                        if (!trackers) return;
+                        trackers.delete(tracker);
+                        if (trackers.size === 0) this.confirmations.delete(key);
+                    });
+                    reject(new AuditDeliveryError(`${tracker.remaining} audit logs not stored within ${timeout}ms`, 'timeout'));
+                }, timeout);
+            }
+            
+            keys.forEach(key => {
+                if (!this.confirmations.has(key)) {
+                    this.confirmations.set(key, new Set());
+                }
+                this.confirmations.get(key).add(tracker);
+            });
+        });
+    }
+    
+    /**
+     * Report the outcome of rows to their trackers
+     * 
+     * @param {Object[]} rows
+     * @param {string} outcome - 'inserted', 'deadLettered' or 'dropped'
+     * @private
+     */
+    settle(rows, outcome) {
+        if (this.confirmations.size === 0) return;
+        
+        for (const row of rows) {
+            const key = confirmationKey(row);
+            const trackers = this.confirmations.get(key);
+            if (!trackers) continue;
+            
+            this.confirmations.delete(key);
+            for (const tracker of trackers) {
+                tracker.outcome[outcome]++;
+                if (--tracker.remaining === 0) {
+                    clearTimeout(tracker.timer);
+                    tracker.resolve(tracker.outcome);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Define the Prometheus metrics
+     * 
+     * @returns {Object} Registry and metric handles
+     * @private
+     */
+    createMetrics() {
+        const registry = new Registry();
+        // Bounds label values that come from requests
+        const maxSeries = parseInt(process.env.AUDIT_METRICS_MAX_SERIES || '200');
+        
+        const metrics = {
+            registry,
+            logged: registry.counter('audit_rows_logged_total', 'Rows accepted by log()'),
+            inserted: registry.counter('audit_rows_inserted_total', 'Rows confirmed inserted into ClickHouse'),
+            dropped: registry.counter('audit_rows_dropped_total', 'Rows discarded without being stored, by reason', ['reason']),
+            deadLettered: registry.counter('audit_rows_dead_lettered_total', 'Rows rejected by ClickHouse and moved to audit_logs_dlq, by ClickHouse error type', ['reason'], { maxSeries }),
+            byAction: registry.counter('audit_events_by_action_total', 'Rows logged per action', ['action'], { maxSeries }),
+            byResourceType: registry.counter('audit_events_by_resource_type_total', 'Rows logged per resource type', ['resource_type'], { maxSeries }),
+            flushes: registry.counter('audit_flushes_total', 'Batch flushes by result', ['result']),
+            flushDuration: registry.histogram('audit_flush_duration_seconds', 'Time to insert one batch (including bisection)',
+                [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]),
+            batchSize: registry.histogram('audit_flush_batch_rows', 'Rows per flushed batch',
+                [1, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]),
+            inFlightBatches: registry.gauge('audit_inflight_batches', 'Batch inserts currently in flight', [], () => this.batches.size),
+            bufferRows: registry.gauge('audit_buffer_rows', 'Rows waiting in the buffer', [], () => this.buffer.length),
+            bufferBytes: registry.gauge('audit_buffer_bytes', 'Estimated bytes of rows waiting in the buffer', [], () => this.bufferBytes),
+            spilled: registry.counter('audit_rows_spilled_total', 'Rows moved out of memory into the spool by the spill policy'),
+            oldestAge: registry.gauge('audit_oldest_buffered_event_age_seconds', 'Age of the oldest row not yet inserted (buffered or in flight)', [],
+                () => this.oldestBufferedAge()),
+            up: registry.gauge('audit_clickhouse_up', '1 if the last insert or ping reached ClickHouse', [], () => this.sinks
+                .filter(sink => sink instanceof ClickHouseSink)
+                .slice(0, 1)
+                .map(sink => ({ labels: {}, value: sink.up ? 1 : 0 }))),
+            sinkUp: registry.gauge('audit_sink_up', '1 if the last write or ping of the sink succeeded', ['sink'],
+                () => this.sinks.map(sink => ({ labels: { sink: sink.name }, value: sink.up ? 1 : 0 }))),
+            sinkQueue: registry.gauge('audit_sink_queue_rows', 'Rows queued for a secondary sink', ['sink'],
+                () => this.sinks.slice(1).map(sink => ({ labels: { sink: sink.name }, value: sink.queue.length }))),
+            sinkWritten: registry.counter('audit_sink_rows_written_total', 'Rows written per sink', ['sink'], {
+                collect: () => this.sinks.map(sink => ({ labels: { sink: sink.name }, value: sink.stats.written }))
+            }),
+            sinkDropped: registry.counter('audit_sink_rows_dropped_total', 'Rows a secondary sink dropped (queue full) or had rejected', ['sink'], {
+                collect: () => this.sinks.slice(1).map(sink => ({ labels: { sink: sink.name }, value: sink.stats.dropped + sink.stats.rejected }))
+            }),
+            alertsFired: registry.counter('audit_alerts_fired_total', 'Alert rule firings, by rule', ['rule'], { maxSeries }),
+            streamSubscribers: registry.gauge('audit_stream_subscribers', 'Connected live stream (SSE) subscribers', [], () => this.stream.subscribers.size),
+            streamDropped: registry.counter('audit_stream_events_dropped_total', 'Rows skipped for live stream subscribers that fell behind', [], {
+                collect: () => this.stream.dropped
+            })
+        };
+        
+        // Export known series from the start so rate() and alerts see zeros
+        metrics.flushes.inc({ result: 'success' }, 0);
+        metrics.flushes.inc({ result: 'failure' }, 0);
+        ['drop_oldest', 'drop_newest', 'sampled_out', 'low_priority', 'rejected'].forEach(reason => metrics.dropped.inc({ reason }, 0));
+        this.alerts.rules.forEach(rule => metrics.alertsFired.inc({ rule: rule.name }, 0));
+        
+        return metrics;
+    }
+    
+    /**
+     * Metrics in Prometheus text format
+     * Pings sinks first when no write has checked their health recently.
+     * 
+     * @returns {Promise<string>}
+     */
+    async getMetrics() {
+        await Promise.all(this.sinks
+            .filter(sink => Date.now() - sink.lastHealthCheck > CONNECTIVITY_CHECK_INTERVAL)
+            .map(sink => sink.checkHealth()));
+        return this.metrics.registry.render();
+    }
+    
+    /**
+     * Add a secondary sink (e.g. a custom Sink subclass)
+     * 
+     * @param {Sink} sink - Receives a copy of every row logged from now on
+     */
+    addSink(sink) {
+        if (this.sinks.some(existing => existing.name === sink.name)) {
+            throw new Error(`Audit sink "${sink.name}" is already registered`);
+        }
+        this.sinks.push(sink);
+    }
+    
+    /**
+     * Register a function run at the start of shutdown(), before the final
+     * flush - for callers that hold rows back and must log them now
+     * 
+     * @param {Function} hook - Synchronous, called with no arguments
+     */
+    onShutdown(hook) {
+        this.shutdownHooks.push(hook);
+    }
+    
+    /**
+     * Seconds since the oldest row not yet inserted was logged
+     * 
+     * @returns {number}
+     * @private
+     */
+    oldestBufferedAge() {
+        let oldest = Infinity;
+        for (const rows of [...[...this.batches].map(batch => batch.rows), this.buffer]) {
+            for (const row of rows) {
+                const time = Date.parse(row.event_time);
+                if (time < oldest) oldest = time;
+            }
+        }
+        return oldest === Infinity ? 0 : Math.max(0, (Date.now() - oldest) / 1000);
+    }
+    
     /**
      * Force flush and cleanup (called on shutdown)
      * Ensures all buffered logs are inserted before app exits
@@ -250,14 +1157,38 @@ class AuditLogger {
         console.log('🛑 Shutting down AuditLogger...');
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         
+        for (const hook of this.shutdownHooks) {
+            try {
+                hook();
+            } catch (error) {
+                console.error(`⚠️  Shutdown hook failed: ${error.message}`);
+            }
+        }
+        
+        // Flush remaining logs (the timer keeps retrying failed batches meanwhile)
+        if (this.buffer.length > 0 || this.batches.size > 0) {
+            console.log(`📤 Flushing ${this.buffer.length} remaining logs...`);
+            try {
+                await this.flush({ timeout: this.SHUTDOWN_TIMEOUT });
+            } catch (error) {
+                console.error(`⚠️  ${error.message}${this.spool ? ' - left in spool for the next start' : ' - lost'}`);
+            }
+        }
+        
         // Stop the flush timer
         clearInterval(this.flushTimer);
+        if (this.chainDrops) {
+            await this.chainDrops.flush();
+        }
+        this.stream.shutdown();
         
-        // Flush remaining logs
-        if (this.buffer.length > 0) {
-            console.log(`📤 Flushing ${this.buffer.length} remaining logs...`);
-            await this.flush();
+        // One last attempt for rows queued in secondary sinks
+        await Promise.all(this.sinks.map(sink => (sink === this.primary ? sink.close() : sink.shutdown())));
+        
+        if (this.spool) {
+            this.spool.shutdown();
         }
+        this.chain.shutdown();
         
         // Print statistics
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -265,6 +1196,9 @@ class AuditLogger {
         console.log(`   Total Batches: ${this.insertCount}`);
         console.log(`   Total Logs Inserted: ${this.totalLogsInserted.toLocaleString()}`);
         console.log(`   Failed Batches: ${this.errorCount}`);
+        console.log(`   Isolated Bad Rows: ${this.isolatedBadRows}`);
+        console.log(`   Dead-Lettered: ${this.deadLettered}`);
+        console.log(`   Dropped: ${Object.values(this.dropped).reduce((sum, count) => sum + count, 0)}`);
         console.log(`   Success Rate: ${this.insertCount > 0 ? Math.round(this.insertCount / (this.insertCount + this.errorCount) * 100) : 0}%`);
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         console.log('✅ AuditLogger shutdown complete\n');
@@ -280,28 +1214,59 @@ class AuditLogger {
             bufferSize: this.buffer.length,
             maxBatchSize: this.BATCH_SIZE,
             flushInterval: this.FLUSH_INTERVAL,
-            isInserting: this.isInserting,
+            isInserting: this.batches.size > 0,
+            inFlightBatches: this.batches.size,
+            maxInFlightBatches: this.MAX_IN_FLIGHT,
+            insertOrdering: this.ordering,
+            awaitedRows: this.confirmations.size,
             bufferUsage: `${this.buffer.length}/${this.BATCH_SIZE} (${Math.round(this.buffer.length / this.BATCH_SIZE * 100)}%)`,
             statistics: {
                 totalBatches: this.insertCount,
                 totalLogs: this.totalLogsInserted,
                 failedBatches: this.errorCount,
+                isolatedBadRows: this.isolatedBadRows,
+                deadLettered: this.deadLettered,
+                truncatedFields: this.truncatedFields,
+                dropped: {
+                    total: Object.values(this.dropped).reduce((sum, count) => sum + count, 0),
+                    byReason: { ...this.dropped }
+                },
+                spilled: this.spilled,
                 successRate: this.insertCount > 0 
                     ? `${Math.round(this.insertCount / (this.insertCount + this.errorCount) * 100)}%`
                     : 'N/A'
-            }
+            },
+            buffer: {
+                rows: this.buffer.length,
+                bytes: this.bufferBytes,
+                maxRows: this.MAX_BUFFER_ROWS,
+                maxBytes: this.MAX_BUFFER_BYTES,
+                overflowPolicy: this.overflowPolicy,
+                waitingWriters: this.waiters.length
+            },
+            lastFlush: this.lastFlush,
+            sinks: this.sinks.map(sink => ({ ...sink.getStatus(), primary: sink === this.primary })),
+            spool: this.spool ? this.spool.getStatus() : { enabled: false },
+            stream: this.stream.getStatus(),
+            alerts: this.alerts.getStatus(),
+            chain: this.chain.getStatus(),
+            chainDrops: this.chainDrops ? this.chainDrops.getStatus() : { enabled: false }
         };
     }
     
     /**
      * Get detailed status including per-user breakdown
      * 
+     * @param {string} [tenantId] - Only count this tenant's buffered rows
      * @returns {Object} Detailed status
      */
-    getDetailedStatus() {
+    getDetailedStatus(tenantId) {
         // Count logs per user in current buffer
         const userCounts = {};
         this.buffer.forEach(log => {
+            if (tenantId !== undefined && log.tenant_id !== tenantId) {
+                return;
+            }
             const agentId = log.agent_id || 'unknown';
             userCounts[agentId] = (userCounts[agentId] || 0) + 1;
         });
@@ -314,7 +1279,34 @@ class AuditLogger {
     }
 }
 
+/**
+ * Raised by logAndConfirm() and flush() when rows were not stored as awaited
+ */
+class AuditDeliveryError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} reason - 'timeout', 'dead_lettered' or 'dropped'
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'AuditDeliveryError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Tracker key of a sealed row - its position in the hash chain
+ * 
+ * @param {Object} row
+ * @returns {string}
+ * @private
+ */
+function confirmationKey(row) {
+    return `${row.chain_id}:${row.chain_seq}`;
+}
+
 // Export singleton instance
 const auditLogger = new AuditLogger();
 
 module.exports = auditLogger;
+module.exports.AuditDeliveryError = AuditDeliveryError;
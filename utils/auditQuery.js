@@ -0,0 +1,351 @@
+/**
+ * Audit Log Queries
+ *
+ * Read-side helpers for `audit_logs`. Filters are translated into
+ * ClickHouse query parameters ({name:Type}) so user input is always
+ * bound by the server and never interpolated into SQL.
+ *
+ * Every query is scoped to one tenant and reads that tenant's table
+ * (see utils/tenant), so callers can never see another tenant's rows.
+ *
+ * Search results are paginated with an opaque cursor over the table's
+ * sort key within the tenant (event_date, agent_id, action, event_time),
+ * newest first, so deep pages don't rely on OFFSET. The row's chain
+ * position (chain_id, chain_seq) breaks ties, so rows sharing a sort key
+ * aren't skipped at a page boundary.
+ *
+ * @module utils/auditQuery
+ */
+
+const { client } = require('../config/clickhouse');
+const { diff, touchesPath } = require('./jsonDiff');
+const { normalizeIp, toIPv6 } = require('./clientIp');
+const { tableFor } = require('./tenant');
+
+const AUDIT_TABLE = 'audit_logs';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const MAX_HISTORY_LIMIT = 1000;
+
+// Sort key plus the unique chain position, newest first - must match the cursor tuple below
+const SORT_ORDER = 'event_date DESC, agent_id DESC, action DESC, event_time DESC, chain_id DESC, chain_seq DESC';
+
+/**
+ * Raised for filter values that can't be used (reported as HTTP 400)
+ */
+class InvalidFilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidFilterError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Build WHERE conditions and bound parameters from search filters
+ *
+ * The tenant condition is always present, whatever the filters say.
+ *
+ * @param {string} tenantId - Tenant whose rows may match ('' when single-tenant)
+ * @param {Object} filters - Usually req.query
+ * @param {string} [filters.agent_id]
+ * @param {string} [filters.action]
+ * @param {string} [filters.resource_type]
+ * @param {string} [filters.resource_id]
+ * @param {string} [filters.request_id]
+ * @param {string} [filters.trace_id] - Every row of one distributed trace
+ * @param {string|number} [filters.status_min] - Lowest status_code (inclusive)
+ * @param {string|number} [filters.status_max] - Highest status_code (inclusive)
+ * @param {string} [filters.endpoint_prefix] - Endpoint starts with
+ * @param {string} [filters.ip] - Client address or CIDR range, IPv4 or IPv6
+ * @param {string} [filters.from] - Earliest event_time (ISO-8601, inclusive)
+ * @param {string} [filters.to] - Latest event_time (ISO-8601, exclusive)
+ * @param {string} [filters.q] - Case-insensitive text in request/response bodies
+ * @returns {{conditions: string[], params: Object}}
+ * @throws {InvalidFilterError}
+ */
+function buildFilters(tenantId, filters = {}) {
+    const conditions = ['tenant_id = {tenantId:String}'];
+    const params = { tenantId: String(tenantId || '') };
+
+    const exact = {
+        agent_id: 'agentId',
+        action: 'action',
+        resource_type: 'resourceType',
+        resource_id: 'resourceId',
+        request_id: 'requestId',
+        trace_id: 'traceId'
+    };
+    for (const [column, param] of Object.entries(exact)) {
+        if (filters[column] !== undefined && filters[column] !== '') {
+            conditions.push(`${column} = {${param}:String}`);
+            params[param] = String(filters[column]);
+        }
+    }
+
+    if (filters.status_min !== undefined && filters.status_min !== '') {
+        conditions.push('status_code >= {statusMin:UInt16}');
+        params.statusMin = parseStatusCode(filters.status_min, 'status_min');
+    }
+    if (filters.status_max !== undefined && filters.status_max !== '') {
+        conditions.push('status_code <= {statusMax:UInt16}');
+        params.statusMax = parseStatusCode(filters.status_max, 'status_max');
+    }
+
+    if (filters.endpoint_prefix) {
+        conditions.push('startsWith(endpoint, {endpointPrefix:String})');
+        params.endpointPrefix = String(filters.endpoint_prefix);
+    }
+
+    if (filters.ip) {
+        const { network, prefix } = parseIpFilter(filters.ip);
+        params.ipNetwork = network;
+        if (prefix === null) {
+            conditions.push('ip_address = toIPv6({ipNetwork:String})');
+        } else {
+            params.ipPrefix = prefix;
+            conditions.push('ip_address BETWEEN IPv6CIDRToRange(toIPv6({ipNetwork:String}), {ipPrefix:UInt8}).1 AND IPv6CIDRToRange(toIPv6({ipNetwork:String}), {ipPrefix:UInt8}).2');
+        }
+    }
+
+    // event_date bounds let ClickHouse prune partitions
+    if (filters.from) {
+        params.from = parseTime(filters.from, 'from');
+        conditions.push('event_date >= toDate(parseDateTime64BestEffort({from:String}, 3))');
+        conditions.push('event_time >= parseDateTime64BestEffort({from:String}, 3)');
+    }
+    if (filters.to) {
+        params.to = parseTime(filters.to, 'to');
+        conditions.push('event_date <= toDate(parseDateTime64BestEffort({to:String}, 3))');
+        conditions.push('event_time < parseDateTime64BestEffort({to:String}, 3)');
+    }
+
+    if (filters.q) {
+        conditions.push('(positionCaseInsensitiveUTF8(request_body, {q:String}) > 0 OR positionCaseInsensitiveUTF8(response_body, {q:String}) > 0)');
+        params.q = String(filters.q);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * Search a tenant's audit logs
+ *
+ * @param {string} tenantId - Tenant to search ('' when single-tenant)
+ * @param {Object} filters - See buildFilters(), plus:
+ * @param {string|number} [filters.limit=50] - Page size (max 500)
+ * @param {string} [filters.cursor] - nextCursor from the previous page
+ * @returns {Promise<{rows: Object[], nextCursor: string|null}>}
+ * @throws {InvalidFilterError}
+ */
+async function search(tenantId, filters = {}) {
+    const { conditions, params } = buildFilters(tenantId, filters);
+    const limit = parseLimit(filters.limit);
+
+    if (filters.cursor) {
+        const cursor = decodeCursor(filters.cursor);
+        conditions.push('(event_date, agent_id, action, event_time, chain_id, chain_seq) < ({cursorDate:Date}, {cursorAgent:String}, {cursorAction:String}, {cursorTime:DateTime64(3)}, {cursorChain:String}, {cursorSeq:UInt64})');
+        Object.assign(params, cursor);
+    }
+
+    const resultSet = await client.query({
+        query: `
+            SELECT *
+            FROM ${tableFor(params.tenantId, AUDIT_TABLE)}
+            WHERE ${conditions.join('\n              AND ')}
+            ORDER BY ${SORT_ORDER}
+            LIMIT {limit:UInt32}`,
+        query_params: { ...params, limit: limit + 1 },
+        format: 'JSONEachRow'
+    });
+
+    const rows = await resultSet.json();
+    const hasMore = rows.length > limit;
+    if (hasMore) {
+        rows.pop();
+    }
+
+    // IPv4 clients come back mapped (::ffff:10.0.0.1)
+    for (const row of rows) {
+        row.ip_address = normalizeIp(row.ip_address) || row.ip_address;
+    }
+
+    return {
+        rows,
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+    };
+}
+
+/**
+ * Chronological change history of one resource
+ *
+ * UPDATE entries carry a `diff` of added, removed and changed paths
+ * between old_value and new_value.
+ *
+ * @param {string} tenantId - Tenant owning the resource ('' when single-tenant)
+ * @param {string} resourceType - e.g. 'functions'
+ * @param {string} resourceId - e.g. 'func_456'
+ * @param {Object} [filters={}]
+ * @param {string} [filters.from] - Earliest event_time (ISO-8601)
+ * @param {string} [filters.to] - Latest event_time (ISO-8601, exclusive)
+ * @param {string} [filters.field] - Only UPDATEs whose diff touches this path
+ * @param {string|number} [filters.limit=100] - Maximum entries (max 1000)
+ * @returns {Promise<Object[]>} Entries, oldest first
+ * @throws {InvalidFilterError}
+ */
+async function history(tenantId, resourceType, resourceId, filters = {}) {
+    const { conditions, params } = buildFilters(tenantId, {
+        resource_type: resourceType,
+        resource_id: resourceId,
+        from: filters.from,
+        to: filters.to
+    });
+    const limit = filters.limit === undefined || filters.limit === ''
+        ? 100
+        : Math.min(parseLimit(filters.limit), MAX_HISTORY_LIMIT);
+
+    const resultSet = await client.query({
+        query: `
+            SELECT
+                event_time, agent_id, agent_name, agent_role, action,
+                http_method, endpoint, status_code, request_id, trace_id,
+                old_value, new_value
+            FROM ${tableFor(params.tenantId, AUDIT_TABLE)}
+            WHERE ${conditions.join('\n              AND ')}
+            ORDER BY event_time ASC
+            LIMIT {limit:UInt32}`,
+        query_params: { ...params, limit },
+        format: 'JSONEachRow'
+    });
+
+    const entries = (await resultSet.json()).map(row => {
+        const { old_value, new_value, ...entry } = row;
+        const oldValue = parseJSON(old_value);
+        const newValue = parseJSON(new_value);
+
+        return row.action === 'UPDATE'
+            ? { ...entry, oldValue, newValue, diff: diff(oldValue, newValue) }
+            : { ...entry, oldValue, newValue };
+    });
+
+    if (!filters.field) {
+        return entries;
+    }
+
+    const field = String(filters.field);
+    return entries.filter(entry => entry.diff && touchesPath(entry.diff, field));
+}
+
+/**
+ * Parse a stored JSON column, keeping non-JSON text as-is
+ * @private
+ */
+function parseJSON(value) {
+    if (value === '' || value === undefined) {
+        return null;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Encode the sort key of the last row on a page
+ * @private
+ */
+function encodeCursor(row) {
+    // URL-safe base64 (Buffer's 'base64url' needs Node 15.7+)
+    return Buffer.from(JSON.stringify([row.event_date, row.agent_id, row.action, row.event_time, row.chain_id, String(row.chain_seq)]))
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * @private
+ */
+function decodeCursor(cursor) {
+    try {
+        const [cursorDate, cursorAgent, cursorAction, cursorTime, cursorChain, cursorSeq] = JSON.parse(
+            // The base64 decoder also accepts the URL-safe alphabet
+            Buffer.from(String(cursor), 'base64').toString('utf8')
+        );
+        if ([cursorDate, cursorAgent, cursorAction, cursorTime, cursorChain, cursorSeq].some(value => typeof value !== 'string')
+            || !/^\d{1,20}$/.test(cursorSeq)) {
+            throw new Error('malformed');
+        }
+        return { cursorDate, cursorAgent, cursorAction, cursorTime, cursorChain, cursorSeq };
+    } catch (e) {
+        throw new InvalidFilterError('Invalid cursor');
+    }
+}
+
+/**
+ * Parse an address or CIDR filter into the IPv6 column's terms
+ * (IPv4 ranges become ranges of IPv4-mapped addresses)
+ * @private
+ */
+function parseIpFilter(value) {
+    const [address, prefix] = String(value).split('/');
+    const normalized = normalizeIp(address);
+    if (!normalized) {
+        throw new InvalidFilterError(`Invalid ip: ${value}`);
+    }
+    if (prefix === undefined) {
+        return { network: toIPv6(normalized), prefix: null };
+    }
+
+    const isIPv4 = !normalized.includes(':');
+    const bits = Number(prefix);
+    if (!/^\d+$/.test(prefix) || bits > (isIPv4 ? 32 : 128)) {
+        throw new InvalidFilterError(`Invalid ip prefix: ${value}`);
+    }
+    return { network: toIPv6(normalized), prefix: isIPv4 ? bits + 96 : bits };
+}
+
+/**
+ * @private
+ */
+function parseLimit(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_LIMIT;
+    }
+    const limit = parseInt(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new InvalidFilterError('limit must be a positive integer');
+    }
+    return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * @private
+ */
+function parseStatusCode(value, name) {
+    const code = Number(value);
+    if (!Number.isInteger(code) || code < 100 || code > 599) {
+        throw new InvalidFilterError(`${name} must be an HTTP status code`);
+    }
+    return code;
+}
+
+/**
+ * @private
+ */
+function parseTime(value, name) {
+    const time = new Date(String(value));
+    if (isNaN(time.getTime())) {
+        throw new InvalidFilterError(`${name} must be an ISO-8601 timestamp`);
+    }
+    return time.toISOString();
+}
+
+module.exports = {
+    AUDIT_TABLE,
+    InvalidFilterError,
+    buildFilters,
+    search,
+    history
+};
@@ -0,0 +1,344 @@
+/**
+ * Durable Audit Spool
+ *
+ * Append-only, segmented NDJSON write-ahead log for the AuditLogger.
+ * Every buffered audit row is written to the active segment before it
+ * is inserted. A segment is only deleted (acknowledged) once ClickHouse
+ * has confirmed every row in it, so rows survive process crashes and
+ * ClickHouse outages longer than the in-memory re-queue cap.
+ *
+ * Delivery is at-least-once: a crash between a confirmed insert and the
+ * segment being deleted replays those rows again on the next start.
+ *
+ * Enable by setting AUDIT_SPOOL_DIR.
+ *
+ * @module utils/auditSpool
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^segment-(\d+)-(\d+)\.ndjson$/;
+
+class AuditSpool {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding segment files
+     * @param {number} [options.segmentBytes=16777216] - Rotate the active segment after this many bytes
+     * @param {boolean} [options.fsync=false] - fsync after every append (survives power loss, slower)
+     */
+    constructor({ directory, segmentBytes = 16 * 1024 * 1024, fsync = false }) {
+        this.directory = directory;
+        this.segmentBytes = segmentBytes;
+        this.fsync = fsync;
+
+        // All segments with unacknowledged rows, keyed by file name
+        this.segments = new Map();
+        this.active = null;
+        this.sequence = 0;
+
+        // Row object -> { segment, line }
+        this.locations = new WeakMap();
+
+        // Segments waiting to be read back into the buffer
+        this.replayQueue = [];
+        this.replay = {
+            segmentsQueued: 0,
+            segmentsReplayed: 0,
+            rowsReplayed: 0,
+            corruptLines: 0
+        };
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.recover();
+    }
+
+    /**
+     * Queue segments left behind by a previous process for replay
+     * @private
+     */
+    recover() {
+        const files = fs.readdirSync(this.directory)
+            .filter(file => SEGMENT_PATTERN.test(file))
+            .sort(compareSegmentFiles);
+
+        for (const file of files) {
+            const [, createdAt, sequence] = file.match(SEGMENT_PATTERN);
+            const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+            const segment = {
+                file,
+                createdAt: Number(createdAt),
+                bytes: Buffer.byteLength(content),
+                lines: content.split('\n').filter(Boolean).length,
+                pending: null,      // null = every line is pending
+                closed: true
+            };
+            this.segments.set(file, segment);
+            this.replayQueue.push(segment);
+            this.sequence = Math.max(this.sequence, Number(sequence));
+        }
+
+        this.replay.segmentsQueued = this.replayQueue.length;
+
+        if (files.length > 0) {
+            console.log(`💾 Audit spool: ${files.length} unacknowledged segment(s) queued for replay`);
+        }
+    }
+
+    /**
+     * Append a row to the active segment
+     *
+     * @param {Object} row - Formatted audit row
+     */
+    append(row) {
+        if (!this.active || this.active.bytes >= this.segmentBytes) {
+            this.rotate();
+        }
+
+        const segment = this.active;
+        const line = JSON.stringify(row) + '\n';
+
+        fs.writeSync(segment.fd, line);
+        if (this.fsync) {
+            fs.fsyncSync(segment.fd);
+        }
+
+        segment.bytes += Buffer.byteLength(line);
+        segment.pending.add(segment.lines);
+        this.locations.set(row, { segment, line: segment.lines });
+        segment.lines++;
+    }
+
+    /**
+     * Close the active segment and open a new one
+     * @private
+     */
+    rotate() {
+        if (this.active) {
+            this.close(this.active);
+        }
+
+        const file = `segment-${Date.now()}-${++this.sequence}.ndjson`;
+        this.active = {
+            file,
+            createdAt: Date.now(),
+            fd: fs.openSync(path.join(this.directory, file), 'a'),
+            bytes: 0,
+            lines: 0,
+            pending: new Set(),
+            closed: false
+        };
+        this.segments.set(file, this.active);
+    }
+
+    /**
+     * Close a segment's file descriptor; delete it if nothing is pending
+     * @private
+     */
+    close(segment) {
+        fs.closeSync(segment.fd);
+        segment.closed = true;
+        if (this.active === segment) {
+            this.active = null;
+        }
+        this.deleteIfAcknowledged(segment);
+    }
+
+    /**
+     * Mark rows as confirmed by ClickHouse
+     *
+     * @param {Object[]} rows - Rows that no longer need to be retried
+     */
+    ack(rows) {
+        const touched = new Set();
+
+        for (const row of rows) {
+            const location = this.locations.get(row);
+            if (!location) continue;
+
+            location.segment.pending.delete(location.line);
+            this.locations.delete(row);
+            touched.add(location.segment);
+        }
+
+        for (const segment of touched) {
+            if (segment === this.active && segment.pending.size === 0) {
+                // Steady state: everything written so far is stored, start fresh
+                this.close(segment);
+            } else {
+                this.deleteIfAcknowledged(segment);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    deleteIfAcknowledged(segment) {
+        if (!segment.closed || segment.pending === null || segment.pending.size > 0) {
+            return;
+        }
+        if (this.replayQueue.includes(segment)) {
+            return;
+        }
+
+        fs.unlinkSync(path.join(this.directory, segment.file));
+        this.segments.delete(segment.file);
+    }
+
+    /**
+     * Give up the in-memory copies of rows and re-read them from disk later.
+     * Used when the buffer is over its cap: the rows stay durable on disk
+     * instead of being dropped. Every buffered row of an affected segment
+     * is evicted, so the returned predicate must be used to drop them from
+     * the buffer too. Segments with rows in an insert still in flight are
+     * skipped, since replaying them would insert those rows twice; their
+     * rows are not evicted.
+     *
+     * @param {Object[]} rows - Rows to evict
+     * @param {Object[]} [inFlight=[]] - Rows in batches currently being inserted
+     * @returns {Function} Predicate returning true for rows that were evicted
+     */
+    evict(rows, inFlight = []) {
+        const busy = new Set();
+        for (const row of inFlight) {
+            const location = this.locations.get(row);
+            if (location) {
+                busy.add(location.segment);
+            }
+        }
+
+        const evicted = new Set();
+
+        for (const row of rows) {
+            const location = this.locations.get(row);
+            if (location && !busy.has(location.segment)) {
+                evicted.add(location.segment);
+            }
+        }
+
+        for (const segment of evicted) {
+            if (segment === this.active) {
+                this.close(segment);
+            }
+            if (!this.replayQueue.includes(segment)) {
+                this.replayQueue.push(segment);
+                this.replay.segmentsQueued++;
+            }
+        }
+
+        return row => {
+            const location = this.locations.get(row);
+            return Boolean(location && evicted.has(location.segment));
+        };
+    }
+
+    /**
+     * Read the next queued segment back into memory
+     *
+     * @returns {Object[]} Pending rows of the segment (empty if none queued)
+     */
+    takeReplayRows() {
+        const segment = this.replayQueue.shift();
+        if (!segment) {
+            return [];
+        }
+
+        const content = fs.readFileSync(path.join(this.directory, segment.file), 'utf8');
+        const lines = content.split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        if (segment.pending === null) {
+            segment.pending = new Set(lines.map((_, index) => index));
+            segment.lines = lines.length;
+        }
+
+        const rows = [];
+        lines.forEach((line, index) => {
+            if (!segment.pending.has(index)) return;
+
+            try {
+                const row = JSON.parse(line);
+                this.locations.set(row, { segment, line: index });
+                rows.push(row);
+            } catch (error) {
+                // Torn write from a crash - nothing to recover
+                segment.pending.delete(index);
+                this.replay.corruptLines++;
+            }
+        });
+
+        this.replay.segmentsReplayed++;
+        this.replay.rowsReplayed += rows.length;
+        this.deleteIfAcknowledged(segment);
+
+        return rows;
+    }
+
+    /**
+     * Whether segments are waiting to be replayed
+     *
+     * @returns {boolean}
+     */
+    hasReplayPending() {
+        return this.replayQueue.length > 0;
+    }
+
+    /**
+     * Close the active segment (called on shutdown)
+     */
+    shutdown() {
+        if (this.active) {
+            this.close(this.active);
+        }
+    }
+
+    /**
+     * Get spool status (for monitoring)
+     *
+     * @returns {Object} Spool status
+     */
+    getStatus() {
+        let bytes = 0;
+        let unackedRows = 0;
+        let oldest = null;
+
+        for (const segment of this.segments.values()) {
+            bytes += segment.bytes;
+            const pending = segment.pending === null ? segment.lines : segment.pending.size;
+
+            if (pending > 0) {
+                unackedRows += pending;
+                oldest = oldest === null ? segment.createdAt : Math.min(oldest, segment.createdAt);
+            }
+        }
+
+        return {
+            enabled: true,
+            directory: this.directory,
+            segments: this.segments.size,
+            bytes,
+            unackedRows,
+            oldestUnackedAgeMs: oldest === null ? 0 : Date.now() - oldest,
+            replay: {
+                ...this.replay,
+                segmentsRemaining: this.replayQueue.length,
+                complete: this.replayQueue.length === 0
+            }
+        };
+    }
+}
+
+/**
+ * Order segment files by creation time, then sequence
+ * @private
+ */
+function compareSegmentFiles(a, b) {
+    const [, timeA, seqA] = a.match(SEGMENT_PATTERN);
+    const [, timeB, seqB] = b.match(SEGMENT_PATTERN);
+    return Number(timeA) - Number(timeB) || Number(seqA) - Number(seqB);
+}
+
+module.exports = AuditSpool;
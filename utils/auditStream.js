@@ -0,0 +1,250 @@
+/**
+ * Live Audit Stream
+ *
+ * Fans out rows from AuditLogger.log() - after redaction and sealing - to
+ * Server-Sent Events subscribers (GET /admin/audit-stream).
+ *
+ * Logging never waits for a subscriber: rows are queued per subscriber and
+ * written on a later tick. A subscriber whose queue is full loses its
+ * oldest rows and is told how many with a `dropped` event. Writes pause
+ * while the socket buffer is full (backpressure) and comment lines are sent
+ * as heartbeats so proxies keep idle connections open.
+ *
+ * Events:
+ *   event: audit     data: the audit row as JSON, id: <chain_id>:<chain_seq>
+ *   event: dropped   data: { "count": n } rows skipped since the last event
+ *
+ * @module utils/auditStream
+ *
+ * @example
+ * const filter = compileStreamFilter({ action: 'DELETE,UPDATE', status: '4xx,5xx' });
+ * auditLogger.stream.subscribe(res, { filter });
+ */
+
+const { InvalidFilterError } = require('./auditQuery');
+
+const STATUS_CLASS_PATTERN = /^[1-5]xx$/;
+
+class AuditStream {
+    /**
+     * @param {Object} [options={}]
+     * @param {number} [options.maxSubscribers=50] - Concurrent subscribers allowed
+     * @param {number} [options.queueSize=1000] - Rows queued per subscriber before the oldest are dropped
+     * @param {number} [options.heartbeatInterval=15000] - Heartbeat period in ms
+     */
+    constructor({ maxSubscribers = 50, queueSize = 1000, heartbeatInterval = 15000 } = {}) {
+        this.maxSubscribers = maxSubscribers;
+        this.queueSize = queueSize;
+        this.heartbeatInterval = heartbeatInterval;
+        this.subscribers = new Set();
+
+        // Rows dropped from full subscriber queues, over all subscribers
+        this.dropped = 0;
+    }
+
+    /**
+     * Whether another subscriber can be accepted
+     *
+     * @returns {boolean}
+     */
+    hasCapacity() {
+        return this.subscribers.size < this.maxSubscribers;
+    }
+
+    /**
+     * Turn an HTTP response into an SSE subscription
+     *
+     * The subscription ends when the client disconnects.
+     *
+     * @param {Object} res - HTTP response, headers not yet sent
+     * @param {Object} [options={}]
+     * @param {Function} [options.filter] - (row) => boolean, from compileStreamFilter()
+     * @returns {Subscriber}
+     */
+    subscribe(res, { filter = () => true } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            // Stop nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: 5000\n: connected\n\n`);
+
+        const subscriber = new Subscriber(this, res, filter);
+        this.subscribers.add(subscriber);
+        res.on('close', () => this.unsubscribe(subscriber));
+        return subscriber;
+    }
+
+    /**
+     * @param {Subscriber} subscriber
+     * @private
+     */
+    unsubscribe(subscriber) {
+        subscriber.stop();
+        this.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Queue a row for every subscriber whose filter matches it
+     *
+     * @param {Object} row - Sealed audit row
+     */
+    publish(row) {
+        for (const subscriber of this.subscribers) {
+            subscriber.push(row);
+        }
+    }
+
+    /**
+     * End all subscriptions (on shutdown)
+     */
+    shutdown() {
+        for (const subscriber of this.subscribers) {
+            subscriber.res.end();
+            this.unsubscribe(subscriber);
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            subscribers: this.subscribers.size,
+            maxSubscribers: this.maxSubscribers,
+            queueSize: this.queueSize,
+            dropped: this.dropped
+        };
+    }
+}
+
+/**
+ * One SSE client with its own bounded queue
+ * @private
+ */
+class Subscriber {
+    constructor(stream, res, filter) {
+        this.stream = stream;
+        this.res = res;
+        this.filter = filter;
+        this.queue = [];
+        this.dropped = 0;
+        this.scheduled = false;
+        this.blocked = false;
+
+        this.heartbeat = setInterval(() => {
+            if (!this.blocked) {
+                res.write(': heartbeat\n\n');
+            }
+        }, stream.heartbeatInterval);
+        this.heartbeat.unref();
+    }
+
+    push(row) {
+        if (!this.filter(row)) {
+            return;
+        }
+
+        if (this.queue.length >= this.stream.queueSize) {
+            this.queue.shift();
+            this.dropped++;
+            this.stream.dropped++;
+        }
+        this.queue.push(row);
+
+        // Write after log() has returned
+        if (!this.scheduled && !this.blocked) {
+            this.scheduled = true;
+            setImmediate(() => {
+                this.scheduled = false;
+                this.pump();
+            });
+        }
+    }
+
+    pump() {
+        while (this.queue.length > 0 && !this.res.writableEnded) {
+            let event = '';
+            if (this.dropped > 0) {
+                event += `event: dropped\ndata: ${JSON.stringify({ count: this.dropped })}\n\n`;
+                this.dropped = 0;
+            }
+            const row = this.queue.shift();
+            event += `id: ${row.chain_id}:${row.chain_seq}\nevent: audit\ndata: ${JSON.stringify(row)}\n\n`;
+
+            if (!this.res.write(event)) {
+                this.blocked = true;
+                this.res.once('drain', () => {
+                    this.blocked = false;
+                    this.pump();
+                });
+                return;
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.heartbeat);
+        this.queue = [];
+    }
+}
+
+/**
+ * Build a row predicate from stream query parameters
+ *
+ * Each parameter takes a comma-separated list; a row must match every
+ * parameter given and any value within one.
+ *
+ * @param {Object} query - Usually req.query
+ * @param {string} [query.agent_id]
+ * @param {string} [query.action] - e.g. 'DELETE,UPDATE'
+ * @param {string} [query.resource_type]
+ * @param {string} [query.status] - Status classes, e.g. '4xx,5xx'
+ * @param {string} [tenantId] - Only rows of this tenant
+ * @returns {Function} (row) => boolean
+ * @throws {InvalidFilterError} For malformed status classes
+ */
+function compileStreamFilter(query = {}, tenantId) {
+    const tests = [];
+
+    for (const column of ['agent_id', 'action', 'resource_type']) {
+        const values = parseList(query[column]);
+        if (values) {
+            tests.push(row => values.has(row[column]));
+        }
+    }
+
+    const classes = parseList(query.status && String(query.status).toLowerCase());
+    if (classes) {
+        for (const statusClass of classes) {
+            if (!STATUS_CLASS_PATTERN.test(statusClass)) {
+                throw new InvalidFilterError(`Invalid status class: ${statusClass} (use 1xx-5xx)`);
+            }
+        }
+        tests.push(row => classes.has(`${Math.floor(row.status_code / 100)}xx`));
+    }
+
+    if (tenantId !== undefined) {
+        tests.push(row => row.tenant_id === tenantId);
+    }
+
+    return row => tests.every(test => test(row));
+}
+
+/**
+ * @private
+ */
+function parseList(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.length > 0 ? new Set(values) : null;
+}
+
+module.exports = {
+    AuditStream,
+    compileStreamFilter
+};
@@ -0,0 +1,111 @@
+/**
+ * Chain Drop Log
+ *
+ * Rows are sealed into the hash chain before the overflow policy can
+ * drop them, so every dropped row leaves a gap. The logger records the
+ * chain positions it drops, with the reason, in `audit_chain_drops` so
+ * verify:chain reports those gaps as notices instead of tampering.
+ *
+ * Positions are kept as ranges of consecutive `chain_seq` per chain and
+ * reason. They are buffered in memory and written on the logger's flush
+ * timer; a failed write keeps them for the next attempt. Ranges not yet
+ * written when the process dies are lost, and their gaps are reported as
+ * missing rows.
+ *
+ * @module utils/chainDrops
+ */
+
+const { client, writeTable } = require('../config/clickhouse');
+
+const DROPS_TABLE = 'audit_chain_drops';
+
+// Ranges held while ClickHouse is unreachable; older ones are given up first
+const MAX_PENDING_RANGES = 10000;
+
+class ChainDropLog {
+    constructor() {
+        this.pending = [];
+        this.writing = null;
+        this.written = 0;
+        this.lost = 0;
+    }
+
+    /**
+     * Record dropped rows
+     *
+     * @param {Object[]} rows - Sealed rows that will never be stored
+     * @param {string} reason - Drop reason (drop_oldest, rejected, ...)
+     */
+    record(rows, reason) {
+        const positions = rows
+            .filter(row => row.chain_id)
+            .map(row => ({ chain_id: row.chain_id, seq: Number(row.chain_seq) }))
+            .sort((a, b) => (a.chain_id < b.chain_id ? -1 : a.chain_id > b.chain_id ? 1 : a.seq - b.seq));
+
+        for (const { chain_id, seq } of positions) {
+            const last = this.pending[this.pending.length - 1];
+            if (last && last.chain_id === chain_id && last.reason === reason && last.last_seq === seq - 1) {
+                last.last_seq = seq;
+            } else {
+                this.pending.push({ chain_id, first_seq: seq, last_seq: seq, reason, dropped_at: new Date().toISOString() });
+            }
+        }
+
+        if (this.pending.length > MAX_PENDING_RANGES) {
+            const lost = this.pending.splice(0, this.pending.length - MAX_PENDING_RANGES);
+            this.lost += lost.length;
+            console.error(`❌ Chain drop log full - ${lost.length} dropped range(s) will show as gaps in verify:chain`);
+        }
+    }
+
+    /**
+     * Write recorded ranges to ClickHouse
+     *
+     * @returns {Promise<void>} Resolves once written or kept for the next attempt
+     */
+    async flush() {
+        if (this.writing) {
+            return this.writing;
+        }
+        if (this.pending.length === 0) {
+            return;
+        }
+
+        const ranges = this.pending;
+        this.pending = [];
+
+        this.writing = client.insert({
+            table: writeTable(DROPS_TABLE),
+            values: ranges,
+            format: 'JSONEachRow'
+        }).then(() => {
+            this.written += ranges.length;
+        }, error => {
+            // Keep them, ahead of anything recorded meanwhile
+            this.pending = ranges.concat(this.pending);
+            console.error(`❌ Chain drop log write failed: ${error.message}`);
+        }).finally(() => {
+            this.writing = null;
+        });
+
+        return this.writing;
+    }
+
+    /**
+     * Get drop log status (for monitoring)
+     *
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            pendingRanges: this.pending.length,
+            writtenRanges: this.written,
+            lostRanges: this.lost
+        };
+    }
+}
+
+module.exports = {
+    DROPS_TABLE,
+    ChainDropLog
+};
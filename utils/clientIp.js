@@ -0,0 +1,195 @@
+/**
+ * Client IP Resolution
+ *
+ * Normalizes addresses of either family and finds the real client behind
+ * trusted proxies using `Forwarded` (RFC 7239) or `X-Forwarded-For`.
+ *
+ * The forwarded chain is walked from the socket peer backwards: while the
+ * current hop is a trusted proxy, the address it forwarded for is taken
+ * as the next hop. The first untrusted hop is the client. With no trusted
+ * proxies configured (the default) the socket peer is the client, so
+ * spoofed headers are never believed.
+ *
+ * Trusted proxies are a comma-separated list of addresses, CIDR ranges and
+ * the keywords `loopback`, `linklocal` and `uniquelocal` (same names as
+ * Express' `trust proxy` setting), e.g. `loopback,10.0.0.0/8,2001:db8::/32`.
+ *
+ * @module utils/clientIp
+ *
+ * @example
+ * const { resolveClientIp, normalizeIp } = require('./utils/clientIp');
+ *
+ * normalizeIp('::ffff:10.0.0.1');   // '10.0.0.1'
+ * normalizeIp('[2001:DB8::1]:443'); // '2001:db8::1'
+ *
+ * resolveClientIp(req, compileTrustedProxies('loopback'));
+ * // { ip: '203.0.113.7', chain: '203.0.113.7, 127.0.0.1' }
+ */
+
+const net = require('net');
+
+const KEYWORDS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// Stored when no usable address is known
+const UNSPECIFIED = '0.0.0.0';
+
+/**
+ * Normalize an address to its canonical text form
+ *
+ * Strips ports, brackets, quotes and zone IDs, unmaps IPv4-mapped IPv6
+ * (`::ffff:10.0.0.1` → `10.0.0.1`) and compresses IPv6 (lowercase, `::`).
+ *
+ * @param {string} value - Address as found in a socket, header or column
+ * @returns {string} Canonical address, or '' when the value is not an IP
+ */
+function normalizeIp(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+
+    let address = value.trim().replace(/^"|"$/g, '');
+
+    const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) {
+        address = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(address)) {
+        // IPv4 with port
+        address = address.split(':')[0];
+    }
+
+    address = address.replace(/%.*$/, '');
+
+    if (net.isIPv4(address)) {
+        return address;
+    }
+    if (!net.isIPv6(address)) {
+        return '';
+    }
+
+    // The URL parser produces RFC 5952 text for IPv6
+    const canonical = new URL(`http://[${address}]/`).hostname.slice(1, -1);
+
+    const mapped = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return canonical;
+}
+
+/**
+ * Format an address for an `IPv6` column (IPv4 is stored mapped)
+ *
+ * @param {string} value - Address of either family
+ * @returns {string} e.g. '::ffff:10.0.0.1' or '2001:db8::1'
+ */
+function toIPv6(value) {
+    const address = normalizeIp(value) || UNSPECIFIED;
+    return net.isIPv4(address) ? `::ffff:${address}` : address;
+}
+
+/**
+ * Extract the `for=` addresses of a `Forwarded` header, client first
+ *
+ * @param {string} header - e.g. 'for=192.0.2.60;proto=http, for="[2001:db8::1]:4711"'
+ * @returns {string[]} Raw node values ('unknown' and obfuscated IDs included)
+ */
+function parseForwardedHeader(header) {
+    const nodes = [];
+    for (const element of String(header).split(',')) {
+        for (const pair of element.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) continue;
+            if (pair.slice(0, separator).trim().toLowerCase() === 'for') {
+                nodes.push(pair.slice(separator + 1).trim().replace(/^"|"$/g, ''));
+            }
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Compile a trusted-proxy list into a matcher
+ *
+ * @param {string|string[]} [spec] - Addresses, CIDRs and keywords
+ * @returns {Function} (address) => boolean, for normalized addresses
+ * @throws {Error} For entries that are not an address, CIDR or keyword
+ */
+function compileTrustedProxies(spec) {
+    const entries = (Array.isArray(spec) ? spec : String(spec || '').split(','))
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .flatMap(entry => KEYWORDS[entry.toLowerCase()] || [entry]);
+
+    if (entries.length === 0) {
+        return () => false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of entries) {
+        const [network, prefix] = entry.split('/');
+        const address = normalizeIp(network);
+        const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+
+        if (!address) {
+            throw new Error(`Invalid trusted proxy "${entry}"`);
+        }
+        if (prefix === undefined) {
+            blockList.addAddress(address, family);
+        } else {
+            blockList.addSubnet(address, Number(prefix), family);
+        }
+    }
+
+    return address => Boolean(address) && blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// From AUDIT_TRUSTED_PROXIES; none by default
+const defaultTrusted = compileTrustedProxies(process.env.AUDIT_TRUSTED_PROXIES);
+
+/**
+ * Resolve the client address of a request
+ *
+ * `Forwarded` is used when present, otherwise `X-Forwarded-For`. The raw
+ * header value is returned as `chain` whether or not it was trusted.
+ *
+ * @param {Object} req - Express (or Node) request
+ * @param {Function} [isTrusted] - Matcher from compileTrustedProxies()
+ * @returns {{ip: string, chain: string}} Normalized client address and raw forwarded chain
+ */
+function resolveClientIp(req, isTrusted = defaultTrusted) {
+    const headers = req.headers || {};
+    const forwarded = headers.forwarded;
+    const forwardedFor = headers['x-forwarded-for'];
+
+    const chain = forwarded || forwardedFor || '';
+    const hops = forwarded
+        ? parseForwardedHeader(forwarded)
+        : String(forwardedFor || '').split(',').map(hop => hop.trim()).filter(Boolean);
+
+    let client = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress);
+
+    for (let i = hops.length - 1; i >= 0 && isTrusted(client); i--) {
+        const hop = normalizeIp(hops[i]);
+        if (!hop) {
+            // 'unknown' or an obfuscated node - the last proxy is all we know
+            break;
+        }
+        client = hop;
+    }
+
+    return { ip: client || UNSPECIFIED, chain: Array.isArray(chain) ? chain.join(', ') : String(chain) };
+}
+
+module.exports = {
+    normalizeIp,
+    toIPv6,
+    parseForwardedHeader,
+    compileTrustedProxies,
+    resolveClientIp
+};
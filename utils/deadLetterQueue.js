@@ -0,0 +1,298 @@
+/**
+ * Audit Dead-Letter Queue
+ *
+ * Stores audit rows that ClickHouse rejected (after bisection isolated them)
+ * in the `audit_logs_dlq` table, together with the original payload, the
+ * error text and the attempt count. Entries can be listed, inspected,
+ * fixed and replayed into `audit_logs`, or purged.
+ *
+ * `audit_logs_dlq` is a ReplacingMergeTree keyed by `id`: every state change
+ * inserts a new version of the entry and reads use FINAL.
+ *
+ * Entries keep the row's `tenant_id`. Every read and change is scoped to
+ * one tenant, and replays go to the tenant's table (see utils/tenant).
+ *
+ * Replays may only fix content columns - the chain columns, `tenant_id`
+ * and `erasure_id` are sealed. The fixed row passes through the redaction
+ * policy again, and the entry records the row_hash it was sealed with, the
+ * columns that changed and their previous values (`original_hash`,
+ * `fixed_fields`, `original_values`) for verify:chain.
+ *
+ * @module utils/deadLetterQueue
+ */
+
+const { randomUUID } = require('crypto');
+const { client, writeTable } = require('../config/clickhouse');
+const { tableFor } = require('./tenant');
+
+const DLQ_TABLE = 'audit_logs_dlq';
+const AUDIT_TABLE = 'audit_logs';
+
+// Columns a replay may fix
+const FIXABLE_COLUMNS = new Set([
+    'event_time', 'event_date',
+    'agent_id', 'agent_name', 'agent_role', 'agent_email',
+    'action', 'resource_type', 'resource_id', 'resource_name',
+    'ip_address', 'forwarded_chain', 'endpoint', 'http_method', 'status_code', 'response_time_ms',
+    'request_body', 'response_body', 'request_headers', 'response_headers',
+    'old_value', 'new_value',
+    'user_agent', 'session_id', 'request_id', 'trace_id', 'span_id', 'error_message', 'metadata'
+]);
+
+class DeadLetterError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [statusCode=400]
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'DeadLetterError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Columns returned by list() - payload is left out to keep listings small
+const SUMMARY_COLUMNS = `
+    id, failed_at, updated_at, status, attempts, error_message,
+    tenant_id, agent_id, action, resource_type, resource_id`;
+
+/**
+ * Dead-letter rejected audit rows
+ *
+ * @param {Array<{row: Object, error: string}>} rejected - Rows isolated by the logger
+ * @returns {Promise<void>}
+ */
+async function add(rejected) {
+    if (rejected.length === 0) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+
+    await client.insert({
+        table: writeTable(DLQ_TABLE),
+        values: rejected.map(({ row, error }) => toEntry({
+            id: randomUUID(),
+            failed_at: now,
+            status: 'pending',
+            attempts: 1,
+            error_message: error,
+            payload: row
+        }, now)),
+        format: 'JSONEachRow'
+    });
+}
+
+/**
+ * List a tenant's dead-lettered entries, newest first
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [options={}]
+ * @param {string} [options.status='pending'] - pending | replayed | purged
+ * @param {number} [options.limit=100] - Maximum entries (capped at 1000)
+ * @returns {Promise<Object[]>} Entry summaries (without payload)
+ */
+async function list(tenantId, { status = 'pending', limit = 100 } = {}) {
+    const resultSet = await client.query({
+        query: `
+            SELECT ${SUMMARY_COLUMNS}
+            FROM ${DLQ_TABLE} FINAL
+            WHERE tenant_id = {tenantId:String}
+              AND status = {status:String}
+            ORDER BY failed_at DESC
+            LIMIT {limit:UInt32}`,
+        query_params: {
+            tenantId: String(tenantId || ''),
+            status,
+            limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000)
+        },
+        format: 'JSONEachRow'
+    });
+
+    return resultSet.json();
+}
+
+/**
+ * Get a single dead-lettered entry including its parsed payload
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>} Entry, or null if not found for this tenant
+ */
+async function get(tenantId, id) {
+    const resultSet = await client.query({
+        query: `
+            SELECT ${SUMMARY_COLUMNS}, payload, original_hash, fixed_fields, original_values
+            FROM ${DLQ_TABLE} FINAL
+            WHERE id = {id:UUID}
+              AND tenant_id = {tenantId:String}
+            LIMIT 1`,
+        query_params: { id, tenantId: String(tenantId || '') },
+        format: 'JSONEachRow'
+    });
+
+    const [entry] = await resultSet.json();
+    if (!entry) {
+        return null;
+    }
+
+    return {
+        ...entry,
+        payload: parsePayload(entry.payload),
+        original_values: parsePayload(entry.original_values)
+    };
+}
+
+/**
+ * Apply fixes to a dead-lettered row and insert it into the tenant's table
+ *
+ * On success the entry is marked `replayed`. On failure the fixed payload
+ * is kept, the attempt count is incremented and the new error recorded.
+ * Either way the changed columns and their values before the first fix
+ * are recorded.
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} id - Entry ID
+ * @param {Object} [fixes={}] - Column values to override, e.g. { ip_address: '0.0.0.0' }
+ * @returns {Promise<Object|null>} Updated entry, or null if not found
+ * @throws {DeadLetterError} For fixes to columns that can't be fixed
+ */
+async function replay(tenantId, id, fixes = {}) {
+    const sealed = Object.keys(fixes).filter(column => !FIXABLE_COLUMNS.has(column));
+    if (sealed.length > 0) {
+        throw new DeadLetterError(`These columns can't be fixed: ${sealed.join(', ')}`);
+    }
+
+    const entry = await get(tenantId, id);
+    if (!entry || entry.status !== 'pending') {
+        return entry;
+    }
+    if (typeof entry.payload !== 'object' || entry.payload === null) {
+        throw new DeadLetterError('Entry payload is not a JSON row and can\'t be replayed', 422);
+    }
+
+    // Loaded lazily - the logger requires this module
+    const payload = require('./auditLogger').redaction.redactRow({ ...entry.payload, ...fixes });
+
+    // Values before the first fix win over those of earlier failed attempts
+    const originalValues = { ...entry.original_values };
+    for (const column of new Set([...Object.keys(entry.payload), ...Object.keys(payload)])) {
+        if (!(column in originalValues) && JSON.stringify(entry.payload[column]) !== JSON.stringify(payload[column])) {
+            originalValues[column] = entry.payload[column] ?? null;
+        }
+    }
+
+    let status = 'replayed';
+    let errorMessage = entry.error_message;
+
+    try {
+        await client.insert({
+            table: tableFor(entry.tenant_id, writeTable(AUDIT_TABLE)),
+            values: [payload],
+            format: 'JSONEachRow'
+        });
+    } catch (error) {
+        status = 'pending';
+        errorMessage = error.message;
+    }
+
+    const updated = {
+        ...entry,
+        status,
+        attempts: entry.attempts + 1,
+        error_message: errorMessage,
+        payload,
+        original_hash: entry.original_hash || String(entry.payload.row_hash || ''),
+        fixed_fields: Object.keys(originalValues),
+        original_values: originalValues
+    };
+    await writeVersion(updated);
+
+    return updated;
+}
+
+/**
+ * Purge dead-lettered entries
+ *
+ * Purged entries are replaced by a tombstone whose payload only keeps the
+ * row's chain position, so verify:chain can tell a purge from a deleted
+ * row. Tombstones are kept as long as the audit rows (2 years).
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string[]} ids - Entry IDs to purge
+ * @returns {Promise<number>} Number of entries purged
+ */
+async function purge(tenantId, ids) {
+    const entries = (await Promise.all(ids.map(id => get(tenantId, id)))).filter(Boolean);
+
+    await Promise.all(entries.map(entry => writeVersion({
+        ...entry,
+        status: 'purged',
+        payload: entry.payload?.chain_id
+            ? { chain_id: entry.payload.chain_id, chain_seq: entry.payload.chain_seq }
+            : '',
+        original_values: {}
+    })));
+
+    return entries.length;
+}
+
+/**
+ * Insert a new version of an entry
+ * @private
+ */
+async function writeVersion(entry) {
+    await client.insert({
+        table: writeTable(DLQ_TABLE),
+        values: [toEntry(entry, new Date().toISOString())],
+        format: 'JSONEachRow'
+    });
+}
+
+/**
+ * Shape an entry as a DLQ table row
+ * @private
+ */
+function toEntry(entry, updatedAt) {
+    const payload = entry.payload || {};
+
+    return {
+        id: entry.id,
+        failed_at: entry.failed_at,
+        updated_at: updatedAt,
+        status: entry.status,
+        attempts: entry.attempts,
+        error_message: String(entry.error_message || ''),
+        payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+        original_hash: String(entry.original_hash || ''),
+        fixed_fields: entry.fixed_fields || [],
+        original_values: typeof entry.original_values === 'string'
+            ? entry.original_values
+            : JSON.stringify(entry.original_values || {}),
+        tenant_id: String(entry.tenant_id ?? payload.tenant_id ?? ''),
+        agent_id: String(entry.agent_id || payload.agent_id || ''),
+        action: String(entry.action || payload.action || ''),
+        resource_type: String(entry.resource_type || payload.resource_type || ''),
+        resource_id: String(entry.resource_id || payload.resource_id || '')
+    };
+}
+
+/**
+ * @private
+ */
+function parsePayload(payload) {
+    try {
+        return JSON.parse(payload);
+    } catch (e) {
+        return payload;
+    }
+}
+
+module.exports = {
+    DeadLetterError,
+    add,
+    list,
+    get,
+    replay,
+    purge
+};
@@ -0,0 +1,566 @@
+/**
+ * Audit Erasure (GDPR)
+ *
+ * Erases one agent's personal data from a tenant's audit rows with
+ * ClickHouse mutations, while keeping the structural trail: who (agent_id),
+ * did what, to which resource, when and with what result.
+ *
+ *   pseudonymize   agent_name and agent_email become a stable pseudonym
+ *                  (keyed with AUDIT_REDACTION_HMAC_KEY, required: at least
+ *                  32 bytes and not the example placeholder)
+ *   remove         agent_name and agent_email are blanked
+ *
+ * Both modes clear ip_address ('::'), forwarded_chain, user_agent,
+ * session_id, the request/response headers and metadata (URL, query and
+ * path params). Bodies and old/new values are cleared, or - when `fields`
+ * names JSON keys - only those keys' scalar values are replaced with
+ * "[erased]". Dead-lettered payloads of the agent lose the same columns,
+ * and the values recorded by dead-letter replays are dropped.
+ *
+ * Erased rows get the job ID in `erasure_id`, which verify:chain uses to
+ * tell an erasure from tampering. The request is logged as an ERASE audit
+ * event, and jobs are kept in `audit_erasures`. Mutations run in the
+ * background on every shard; getJob() reports their progress from
+ * system.mutations and marks the job completed once no row older than the
+ * request is left unerased.
+ *
+ * Agents with an active legal hold (`audit_legal_holds`) can't be erased.
+ *
+ * Only rows written before the request are erased: buffered rows are
+ * flushed first, rows logged later are not touched.
+ *
+ * @module utils/erasure
+ *
+ * @example
+ * const job = await erasure.erase('acme', 'user_123', { mode: 'pseudonymize', requestedBy: 'dpo_7' });
+ * const { status, progress } = await erasure.getJob('acme', job.id);
+ */
+
+const crypto = require('crypto');
+const { client, writeTable } = require('../config/clickhouse');
+const auditLogger = require('./auditLogger');
+const { hmacKeyProblem } = require('./redactionPolicy');
+const { tableFor } = require('./tenant');
+
+const ERASURES_TABLE = 'audit_erasures';
+const HOLDS_TABLE = 'audit_legal_holds';
+const DEFAULT_TABLE = 'audit_logs';
+
+const DATABASE = process.env.CLICKHOUSE_DATABASE || 'audit_db';
+const CLUSTER = process.env.CLICKHOUSE_CLUSTER || '';
+
+const MODES = ['pseudonymize', 'remove'];
+const STATUSES = ['running', 'completed', 'failed'];
+
+// Body keys are spliced into a regular expression - letters, digits, _ and - only
+const FIELD_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const ERASED = '[erased]';
+
+// Payload keys cleared in dead-lettered entries (ip_address is reset to '::')
+const DLQ_PAYLOAD_KEYS = [
+    'agent_name', 'agent_email', 'forwarded_chain', 'user_agent', 'session_id',
+    'request_body', 'response_body', 'request_headers', 'response_headers',
+    'old_value', 'new_value', 'metadata'
+];
+
+class ErasureError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [statusCode=400]
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ErasureError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Start erasing an agent's personal data from a tenant's audit rows
+ *
+ * Resolves once the mutations are submitted; they finish in the background.
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} agentId - Agent (data subject) to erase
+ * @param {Object} [options={}]
+ * @param {string} [options.mode='pseudonymize'] - pseudonymize | remove
+ * @param {string[]} [options.fields] - Only erase these JSON keys in bodies and old/new values
+ * @param {string} [options.reason] - Why, e.g. a ticket reference
+ * @param {string} [options.requestedBy] - Who asked (logged as the ERASE event's agent)
+ * @returns {Promise<Object>} The job
+ * @throws {ErasureError} 400 for bad options (or pseudonymize without a usable AUDIT_REDACTION_HMAC_KEY), 409 for agents under legal hold
+ */
+async function erase(tenantId, agentId, { mode = 'pseudonymize', fields, reason = '', requestedBy = '' } = {}) {
+    tenantId = String(tenantId || '');
+    agentId = String(agentId || '').trim();
+
+    if (!agentId) {
+        throw new ErasureError('agentId is required');
+    }
+    if (!MODES.includes(mode)) {
+        throw new ErasureError(`mode must be one of: ${MODES.join(', ')}`);
+    }
+    // An HMAC of the agent ID under a known or guessable key can be recomputed by anyone
+    const keyProblem = mode === 'pseudonymize' ? hmacKeyProblem(process.env.AUDIT_REDACTION_HMAC_KEY) : null;
+    if (keyProblem) {
+        throw new ErasureError(`pseudonymize needs a secret HMAC key (${keyProblem}) - set a random one or use mode "remove"`);
+    }
+    const bodyFields = parseFields(fields);
+
+    const hold = await getHold(tenantId, agentId);
+    if (hold) {
+        throw new ErasureError(`Agent ${agentId} is under legal hold (${hold.reason || 'no reason given'})`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        tenant_id: tenantId,
+        agent_id: agentId,
+        mode,
+        body_fields: bodyFields,
+        status: 'running',
+        requested_by: String(requestedBy || ''),
+        reason: String(reason || ''),
+        error_message: '',
+        created_at: now,
+        updated_at: now
+    };
+
+    // Rows logged before the request may still be buffered
+    await auditLogger.flush({ timeout: auditLogger.CONFIRM_TIMEOUT });
+    await writeVersion(job);
+
+    try {
+        for (const query of buildMutations(job)) {
+            await client.command({ query });
+        }
+    } catch (error) {
+        job.status = 'failed';
+        job.error_message = error.message;
+        job.updated_at = new Date().toISOString();
+        await writeVersion(job);
+    }
+
+    auditLogger.log({
+        tenantId,
+        agentId: job.requested_by || 'system',
+        agentRole: 'admin',
+        action: 'ERASE',
+        resourceType: 'agent',
+        resourceId: agentId
+    }, {
+        statusCode: job.status === 'failed' ? 500 : 202,
+        errorMessage: job.error_message,
+        metadata: {
+            erasureId: job.id,
+            mode,
+            fields: bodyFields,
+            reason: job.reason
+        }
+    });
+
+    return job;
+}
+
+/**
+ * Get a job with the progress of its mutations on every shard
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job with `progress`, or null if not found for this tenant
+ */
+async function getJob(tenantId, id) {
+    const resultSet = await client.query({
+        query: `
+            SELECT *
+            FROM ${ERASURES_TABLE} FINAL
+            WHERE id = {id:UUID}
+              AND tenant_id = {tenantId:String}
+            LIMIT 1`,
+        query_params: { id, tenantId: String(tenantId || '') },
+        format: 'JSONEachRow'
+    });
+
+    const [job] = await resultSet.json();
+    if (!job) {
+        return null;
+    }
+
+    const mutations = await loadMutations(job.id);
+    const progress = {
+        mutations,
+        partsToDo: mutations.reduce((sum, mutation) => sum + mutation.partsToDo, 0),
+        failures: mutations.filter(mutation => !mutation.done && mutation.failReason)
+    };
+
+    if (job.status === 'running' && mutations.every(mutation => mutation.done)) {
+        progress.remainingRows = await countRemaining(job);
+
+        if (progress.remainingRows === 0) {
+            job.status = 'completed';
+            job.updated_at = new Date().toISOString();
+            await writeVersion(job);
+        }
+    }
+
+    return { ...job, progress };
+}
+
+/**
+ * List a tenant's erasure jobs, newest first
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {Object} [options={}]
+ * @param {string} [options.agentId] - Only jobs for this agent
+ * @param {string} [options.status] - running | completed | failed
+ * @param {number} [options.limit=100] - Maximum jobs (capped at 1000)
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs(tenantId, { agentId, status, limit = 100 } = {}) {
+    if (status && !STATUSES.includes(status)) {
+        throw new ErasureError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    const conditions = ['tenant_id = {tenantId:String}'];
+    if (agentId) conditions.push('agent_id = {agentId:String}');
+    if (status) conditions.push('status = {status:String}');
+
+    const resultSet = await client.query({
+        query: `
+            SELECT *
+            FROM ${ERASURES_TABLE} FINAL
+            WHERE ${conditions.join('\n              AND ')}
+            ORDER BY created_at DESC
+            LIMIT {limit:UInt32}`,
+        query_params: {
+            tenantId: String(tenantId || ''),
+            agentId: String(agentId || ''),
+            status: String(status || ''),
+            limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000)
+        },
+        format: 'JSONEachRow'
+    });
+
+    return resultSet.json();
+}
+
+/**
+ * Active legal hold on an agent
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} agentId
+ * @returns {Promise<Object|null>} The hold, or null when the agent is not held
+ */
+async function getHold(tenantId, agentId) {
+    const resultSet = await client.query({
+        query: `
+            SELECT *
+            FROM ${HOLDS_TABLE} FINAL
+            WHERE tenant_id = {tenantId:String}
+              AND agent_id = {agentId:String}
+              AND active = 1
+            LIMIT 1`,
+        query_params: { tenantId: String(tenantId || ''), agentId: String(agentId) },
+        format: 'JSONEachRow'
+    });
+
+    const [hold] = await resultSet.json();
+    return hold || null;
+}
+
+/**
+ * A tenant's active legal holds
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @returns {Promise<Object[]>}
+ */
+async function listHolds(tenantId) {
+    const resultSet = await client.query({
+        query: `
+            SELECT *
+            FROM ${HOLDS_TABLE} FINAL
+            WHERE tenant_id = {tenantId:String}
+              AND active = 1
+            ORDER BY agent_id`,
+        query_params: { tenantId: String(tenantId || '') },
+        format: 'JSONEachRow'
+    });
+
+    return resultSet.json();
+}
+
+/**
+ * Place an agent under legal hold (blocks erasure until released)
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} agentId
+ * @param {Object} [options={}]
+ * @param {string} [options.reason]
+ * @param {string} [options.placedBy]
+ * @returns {Promise<Object>} The hold
+ */
+async function placeHold(tenantId, agentId, { reason = '', placedBy = '' } = {}) {
+    return writeHold(tenantId, agentId, 1, reason, placedBy);
+}
+
+/**
+ * Release an agent's legal hold
+ *
+ * @param {string} tenantId - '' when single-tenant
+ * @param {string} agentId
+ * @param {Object} [options={}]
+ * @param {string} [options.placedBy] - Who released it
+ * @returns {Promise<boolean>} false when the agent was not held
+ */
+async function releaseHold(tenantId, agentId, { placedBy = '' } = {}) {
+    const hold = await getHold(tenantId, agentId);
+    if (!hold) {
+        return false;
+    }
+    await writeHold(tenantId, agentId, 0, hold.reason, placedBy);
+    return true;
+}
+
+/**
+ * Insert a new version of a hold and log the change
+ * @private
+ */
+async function writeHold(tenantId, agentId, active, reason, placedBy) {
+    const hold = {
+        tenant_id: String(tenantId || ''),
+        agent_id: String(agentId),
+        active,
+        reason: String(reason || ''),
+        placed_by: String(placedBy || ''),
+        updated_at: new Date().toISOString()
+    };
+
+    await client.insert({
+        table: writeTable(HOLDS_TABLE),
+        values: [hold],
+        format: 'JSONEachRow'
+    });
+
+    auditLogger.log({
+        tenantId: hold.tenant_id,
+        agentId: hold.placed_by || 'system',
+        agentRole: 'admin',
+        action: active ? 'LEGAL_HOLD' : 'RELEASE_HOLD',
+        resourceType: 'agent',
+        resourceId: hold.agent_id
+    }, {
+        metadata: { reason: hold.reason }
+    });
+
+    return hold;
+}
+
+/**
+ * ALTER ... UPDATE statements for a job
+ *
+ * Literals are inlined: with ON CLUSTER the statement text is what every
+ * host runs. The job ID in `erasure_id` also identifies the mutations in
+ * system.mutations.
+ *
+ * @private
+ */
+function buildMutations(job) {
+    const assignments = [];
+
+    if (job.mode === 'pseudonymize') {
+        const pseudonym = pseudonymFor(job.agent_id);
+        assignments.push(
+            `agent_name = ${quote(`erased-${pseudonym}`)}`,
+            `agent_email = if(agent_email = '', '', ${quote(`${pseudonym}@erased.invalid`)})`
+        );
+    } else {
+        assignments.push(`agent_name = ''`, `agent_email = ''`);
+    }
+
+    assignments.push(
+        `ip_address = toIPv6('::')`,
+        `forwarded_chain = ''`,
+        `user_agent = ''`,
+        `session_id = ''`,
+        `request_headers = '{}'`,
+        `response_headers = '{}'`,
+        `metadata = '{}'`
+    );
+
+    for (const column of ['request_body', 'response_body', 'old_value', 'new_value']) {
+        assignments.push(job.body_fields.length > 0
+            ? `${column} = replaceRegexpAll(${column}, ${quote(keyValuePattern(job.body_fields))}, ${quote(`\\1"${ERASED}"`)})`
+            : `${column} = ''`);
+    }
+
+    assignments.push(`erasure_id = ${quote(job.id)}`);
+
+    // Only rows logged before the request, like countRemaining()
+    const where = `WHERE tenant_id = ${quote(job.tenant_id)} AND agent_id = ${quote(job.agent_id)}`;
+    const before = `parseDateTime64BestEffort(${quote(job.created_at)}, 3)`;
+    const onCluster = CLUSTER ? ` ON CLUSTER '${CLUSTER}'` : '';
+
+    // Dead-lettered payloads are JSON rows with string values
+    const payload = `replaceRegexpAll(replaceRegexpAll(payload, ${quote(keyValuePattern(DLQ_PAYLOAD_KEYS))}, ${quote('\\1""')}), ${quote(keyValuePattern(['ip_address']))}, ${quote('\\1"::"')})`;
+
+    return [
+        `ALTER TABLE ${localTable(tableFor(job.tenant_id, DEFAULT_TABLE))}${onCluster}
+            UPDATE ${assignments.join(',\n                   ')}
+            ${where} AND event_time < ${before}`,
+        `ALTER TABLE ${localTable('audit_logs_dlq')}${onCluster}
+            UPDATE payload = ${payload}, original_values = '{}'
+            ${where} AND payload != ''
+              AND parseDateTime64BestEffortOrZero(JSONExtractString(payload, 'event_time'), 3) < ${before}`
+    ];
+}
+
+/**
+ * Mutation progress of a job on every host
+ * @private
+ */
+async function loadMutations(id) {
+    const source = CLUSTER ? `clusterAllReplicas('${CLUSTER}', system.mutations)` : 'system.mutations';
+
+    const resultSet = await client.query({
+        query: `
+            SELECT
+                hostName() AS host,
+                database,
+                table,
+                mutation_id,
+                is_done,
+                parts_to_do,
+                latest_fail_reason,
+                create_time
+            FROM ${source}
+            WHERE position(command, {id:String}) > 0
+            ORDER BY host, table`,
+        query_params: { id },
+        format: 'JSONEachRow'
+    });
+
+    return (await resultSet.json()).map(mutation => ({
+        host: mutation.host,
+        table: `${mutation.database}.${mutation.table}`,
+        mutationId: mutation.mutation_id,
+        done: Number(mutation.is_done) === 1,
+        partsToDo: Number(mutation.parts_to_do),
+        failReason: mutation.latest_fail_reason,
+        createdAt: mutation.create_time
+    }));
+}
+
+/**
+ * Rows of the agent from before the request that are not erased yet
+ * @private
+ */
+async function countRemaining(job) {
+    const resultSet = await client.query({
+        query: `
+            SELECT count() AS total
+            FROM ${tableFor(job.tenant_id, DEFAULT_TABLE)}
+            WHERE tenant_id = {tenantId:String}
+              AND agent_id = {agentId:String}
+              AND event_time < parseDateTime64BestEffort({createdAt:String}, 3)
+              AND erasure_id != {id:String}`,
+        query_params: {
+            tenantId: job.tenant_id,
+            agentId: job.agent_id,
+            createdAt: String(job.created_at),
+            id: job.id
+        },
+        format: 'JSONEachRow'
+    });
+
+    const [{ total }] = await resultSet.json();
+    return Number(total);
+}
+
+/**
+ * Insert a new version of a job
+ * @private
+ */
+async function writeVersion(job) {
+    await client.insert({
+        table: writeTable(ERASURES_TABLE),
+        values: [job],
+        format: 'JSONEachRow'
+    });
+}
+
+/**
+ * Table mutations run on
+ *
+ * `audit_logs` is a Distributed (cluster) or Merge (single node) table over
+ * `audit_logs_local`. Tables from AUDIT_TENANT_ROUTES are expected to follow
+ * the same `<name>_local` convention on a cluster, and to be plain
+ * MergeTree tables on a single node.
+ *
+ * @private
+ */
+function localTable(table) {
+    const qualified = table.includes('.') ? table : `${DATABASE}.${table}`;
+    const isDefault = table === DEFAULT_TABLE || table === 'audit_logs_dlq';
+    return CLUSTER || isDefault ? `${qualified}_local` : qualified;
+}
+
+/**
+ * @private
+ */
+function pseudonymFor(agentId) {
+    return crypto.createHmac('sha256', process.env.AUDIT_REDACTION_HMAC_KEY)
+        .update(String(agentId))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * RE2 pattern matching `"key": <scalar>` for any of the keys, capturing
+ * everything up to the value
+ * @private
+ */
+function keyValuePattern(keys) {
+    return `("(?:${keys.join('|')})"\\s*:\\s*)(?:"(?:[^"\\\\]|\\\\.)*"|-?[0-9][0-9.eE+-]*|true|false)`;
+}
+
+/**
+ * Validate body field names
+ *
+ * @returns {string[]} [] for whole bodies
+ * @throws {ErasureError}
+ * @private
+ */
+function parseFields(fields) {
+    if (fields === undefined || fields === null || fields === '') {
+        return [];
+    }
+    const list = (Array.isArray(fields) ? fields : String(fields).split(','))
+        .map(field => String(field).trim())
+        .filter(Boolean);
+
+    const invalid = list.find(field => !FIELD_PATTERN.test(field));
+    if (invalid !== undefined) {
+        throw new ErasureError(`Invalid body field: ${invalid} (letters, digits, _ and - only)`);
+    }
+    return [...new Set(list)];
+}
+
+/**
+ * ClickHouse string literal
+ * @private
+ */
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+module.exports = {
+    ErasureError,
+    erase,
+    getJob,
+    listJobs,
+    getHold,
+    listHolds,
+    placeHold,
+    releaseHold
+};
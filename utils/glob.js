@@ -0,0 +1,54 @@
+/**
+ * Segment Globs
+ *
+ * Small matcher shared by redaction paths (`user.*.email`, `**.password`)
+ * and route patterns (`/api/uploads/**`, `/api/functions/:id`).
+ *
+ * - `*` (or an Express-style `:param`) matches exactly one segment
+ * - `**` matches any number of segments, including none
+ * - Everything else matches one segment exactly, case-insensitively
+ *
+ * @module utils/glob
+ */
+
+/**
+ * Compile a glob into a matcher over path segments
+ *
+ * @param {string} pattern - e.g. '**.password' or '/api/uploads/**'
+ * @param {string} separator - '.' for JSON paths, '/' for URL paths
+ * @returns {Function} (segments: string[]) => boolean
+ */
+function compileGlob(pattern, separator) {
+    const parts = pattern.split(separator).filter(Boolean).map(part => part.toLowerCase());
+
+    const match = (segments, p, s) => {
+        if (p === parts.length) return s === segments.length;
+        if (parts[p] === '**') {
+            for (let i = s; i <= segments.length; i++) {
+                if (match(segments, p + 1, i)) return true;
+            }
+            return false;
+        }
+        if (s === segments.length) return false;
+        if (parts[p] !== '*' && parts[p][0] !== ':' && parts[p] !== segments[s].toLowerCase()) return false;
+        return match(segments, p + 1, s + 1);
+    };
+
+    return segments => match(segments, 0, 0);
+}
+
+/**
+ * Compile a URL route pattern into a matcher over paths
+ *
+ * @param {string} pattern - e.g. '/api/uploads/**'
+ * @returns {Function} (path: string) => boolean
+ */
+function compileRoutePattern(pattern) {
+    const matches = compileGlob(pattern, '/');
+    return path => matches(String(path).split('/').filter(Boolean));
+}
+
+module.exports = {
+    compileGlob,
+    compileRoutePattern
+};
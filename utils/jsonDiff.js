@@ -0,0 +1,108 @@
+/**
+ * Structural JSON Diff
+ *
+ * Compares two JSON values and lists the paths that were added, removed
+ * or changed. Objects are compared key by key and arrays index by index.
+ * Paths use dot notation with array indices: `config.retries`, `tags[2]`.
+ *
+ * @module utils/jsonDiff
+ *
+ * @example
+ * diff({ name: 'a', tags: ['x'] }, { name: 'b', tags: ['x', 'y'] });
+ * // {
+ * //   added:   [{ path: 'tags[1]', value: 'y' }],
+ * //   removed: [],
+ * //   changed: [{ path: 'name', from: 'a', to: 'b' }]
+ * // }
+ */
+
+/**
+ * Diff two JSON values
+ *
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @returns {{added: Array<{path: string, value: *}>, removed: Array<{path: string, value: *}>, changed: Array<{path: string, from: *, to: *}>}}
+ */
+function diff(before, after) {
+    const result = { added: [], removed: [], changed: [] };
+    walk(before, after, '', result);
+    return result;
+}
+
+/**
+ * Whether a diff touches a path or anything below it
+ *
+ * @param {Object} changes - Result of diff()
+ * @param {string} path - e.g. 'config' matches 'config.retries' and 'config'
+ * @returns {boolean}
+ */
+function touchesPath(changes, path) {
+    const matches = entry => entry.path === path
+        || entry.path.startsWith(`${path}.`)
+        || entry.path.startsWith(`${path}[`)
+        // Parent replaced wholesale, e.g. 'config' changed from null to {...}
+        || path.startsWith(`${entry.path}.`)
+        || path.startsWith(`${entry.path}[`);
+
+    return changes.added.some(matches)
+        || changes.removed.some(matches)
+        || changes.changed.some(matches);
+}
+
+/**
+ * @private
+ */
+function walk(before, after, path, result) {
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (!(key in after)) {
+                result.removed.push({ path: childPath, value: before[key] });
+            } else if (!(key in before)) {
+                result.added.push({ path: childPath, value: after[key] });
+            } else {
+                walk(before[key], after[key], childPath, result);
+            }
+        }
+        return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i++) {
+            const childPath = `${path}[${i}]`;
+            if (i >= after.length) {
+                result.removed.push({ path: childPath, value: before[i] });
+            } else if (i >= before.length) {
+                result.added.push({ path: childPath, value: after[i] });
+            } else {
+                walk(before[i], after[i], childPath, result);
+            }
+        }
+        return;
+    }
+
+    if (!isEqual(before, after)) {
+        result.changed.push({ path, from: before, to: after });
+    }
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+    diff,
+    touchesPath
+};
@@ -0,0 +1,247 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4). Label values that come from requests
+ * (actions, resource types) are bounded per metric: once `maxSeries` label
+ * sets exist, new ones are counted under the value `other`.
+ *
+ * @module utils/metrics
+ *
+ * @example
+ * const registry = new Registry();
+ * const logged = registry.counter('audit_rows_logged_total', 'Rows accepted by log()', ['action']);
+ * logged.inc({ action: 'CREATE' });
+ * registry.gauge('audit_buffer_rows', 'Rows waiting in the buffer', [], () => logger.buffer.length);
+ * registry.render(); // 'text/plain; version=0.0.4' body
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const OVERFLOW_VALUE = 'other';
+
+class Metric {
+    /**
+     * @param {string} type
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {Object} [options]
+     * @param {number} [options.maxSeries=200]
+     * @param {Function} [options.collect] - Called at render time; returns a number,
+     *   or an array of { labels, value } for labelled metrics
+     */
+    constructor(type, name, help, labelNames = [], { maxSeries = 200, collect = null } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.maxSeries = maxSeries;
+        this.collect = collect;
+        this.series = new Map();
+    }
+
+    /**
+     * Replace the series with collected values
+     * @private
+     */
+    refresh() {
+        if (!this.collect) return;
+
+        const collected = this.collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        this.series.clear();
+        samples.forEach(({ labels, value }) => {
+            this.get(labels, () => ({ value: 0 })).value = value;
+        });
+    }
+
+    /**
+     * Series for a label set, created on first use
+     * @private
+     */
+    get(labels = {}, create) {
+        let values = this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name]));
+        let key = JSON.stringify(values);
+
+        if (!this.series.has(key) && this.series.size >= this.maxSeries) {
+            values = this.labelNames.map(() => OVERFLOW_VALUE);
+            key = JSON.stringify(values);
+        }
+        if (!this.series.has(key)) {
+            this.series.set(key, { values, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * @private
+     */
+    formatLabels(values, extra = '') {
+        const pairs = this.labelNames.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+        if (extra) pairs.push(extra);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, options) {
+        super('counter', name, help, labelNames, options);
+    }
+
+    /**
+     * @param {Object} [labels]
+     * @param {number} [amount=1]
+     */
+    inc(labels, amount = 1) {
+        this.get(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * @private
+     */
+    renderSamples() {
+        this.refresh();
+        if (this.series.size === 0 && this.labelNames.length === 0) {
+            return [`${this.name} 0`];
+        }
+        return [...this.series.values()].map(series => `${this.name}${this.formatLabels(series.values)} ${formatNumber(series.value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {Function} [collect] - See Metric
+     */
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames, { collect });
+    }
+
+    set(labels, value) {
+        this.get(labels, () => ({ value: 0 })).value = value;
+    }
+
+    /**
+     * @private
+     */
+    renderSamples() {
+        this.refresh();
+        return [...this.series.values()].map(series => `${this.name}${this.formatLabels(series.values)} ${formatNumber(series.value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {number[]} buckets - Upper bounds, ascending
+     * @param {string[]} [labelNames]
+     */
+    constructor(name, help, buckets, labelNames) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * @param {number} value
+     * @param {Object} [labels]
+     */
+    observe(value, labels) {
+        const series = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * @private
+     */
+    renderSamples() {
+        if (this.series.size === 0 && this.labelNames.length === 0) {
+            this.get({}, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        }
+
+        const lines = [];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${this.formatLabels(series.values, `le="${bound}"`)} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${this.formatLabels(series.values, 'le="+Inf"')} ${series.count}`);
+            lines.push(`${this.name}_sum${this.formatLabels(series.values)} ${formatNumber(series.sum)}`);
+            lines.push(`${this.name}_count${this.formatLabels(series.values)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames, options) {
+        return this.register(new Counter(name, help, labelNames, options));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, buckets, labelNames) {
+        return this.register(new Histogram(name, help, buckets, labelNames));
+    }
+
+    /**
+     * @private
+     */
+    register(metric) {
+        if (this.metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Render all metrics in the text exposition format
+     *
+     * @returns {string}
+     */
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+/**
+ * @private
+ */
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * @private
+ */
+function formatNumber(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Registry,
+    Counter,
+    Gauge,
+    Histogram
+};
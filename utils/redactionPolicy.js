@@ -0,0 +1,400 @@
+/**
+ * Redaction Policy Engine
+ *
+ * Applied centrally by AuditLogger to every row before it is hashed,
+ * spooled or buffered, so no write path can bypass it.
+ *
+ * A policy is a list of rules plus optional per-route overrides:
+ * - Field rules match JSON paths inside payload columns. Paths use dots;
+ *   `*` matches one segment and `**` any number of segments (key matching
+ *   is exact and case-insensitive, so `**.token` does not touch `tokenCount`).
+ * - Key rules match keys at any depth that are, or end with, one of the
+ *   given names, ignoring case, `_` and `-`: `token` matches `sessionToken`
+ *   and `access_token` but not `tokenCount`, `apiKey` matches `x-api-key`.
+ *   Names under `containing` match anywhere in the key instead, so
+ *   `password` also covers `passwordHash` and `password_confirmation`.
+ * - Value rules scan string values (and free-text columns) with a built-in
+ *   detector (`pan` with Luhn check, `email`, `jwt`, `bearer`) or a custom
+ *   `regex`, and act on the matched text only.
+ *
+ * Actions: `mask`, `hash` (keyed HMAC-SHA256 so values can still be
+ * correlated), `truncate` and `drop`.
+ *
+ * @module utils/redactionPolicy
+ *
+ * @example
+ * const policy = new RedactionPolicy({
+ *     rules: [
+ *         { name: 'passwords', paths: ['**.password'], action: 'mask' },
+ *         { name: 'emails', detector: 'email', action: 'hash' }
+ *     ],
+ *     routes: [
+ *         { endpoint: '/api/payments/**', rules: [{ paths: ['**.iban'], action: 'truncate', length: 4 }] },
+ *         { endpoint: '/api/support/**', disable: ['emails'] }
+ *     ]
+ * }, { hmacKey: process.env.AUDIT_REDACTION_HMAC_KEY });
+ */
+
+const crypto = require('crypto');
+const { compileGlob } = require('./glob');
+
+const MASK = '***REDACTED***';
+const DROP = Symbol('drop');
+
+// Columns holding JSON payloads (field and value rules apply)
+const PAYLOAD_FIELDS = [
+    'request_body', 'response_body',
+    'request_headers', 'response_headers',
+    'old_value', 'new_value',
+    'metadata'
+];
+
+// Free-text columns (value rules only)
+const TEXT_FIELDS = ['error_message', 'resource_name'];
+
+const DETECTORS = {
+    pan: {
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: match => luhnCheck(match.replace(/\D/g, ''))
+    },
+    email: {
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    jwt: {
+        pattern: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+    },
+    bearer: {
+        pattern: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi
+    }
+};
+
+const DEFAULT_POLICY = {
+    rules: [
+        {
+            name: 'credentials',
+            keys: ['secret', 'token', 'apiKey', 'privateKey', 'authorization', 'cookie'],
+            containing: ['password', 'passwd'],
+            action: 'mask'
+        },
+        {
+            name: 'payment-cards',
+            paths: ['**.creditCard', '**.credit_card', '**.cardNumber', '**.card_number', '**.cvv', '**.cvc'],
+            action: 'mask'
+        },
+        { name: 'ssn', paths: ['**.ssn'], action: 'mask' },
+        { name: 'pan', detector: 'pan', action: 'mask' },
+        { name: 'jwt', detector: 'jwt', action: 'mask' },
+        { name: 'bearer', detector: 'bearer', action: 'mask' },
+        { name: 'email', detector: 'email', action: 'hash' }
+    ],
+    routes: []
+};
+
+const ACTIONS = ['mask', 'hash', 'truncate', 'drop'];
+
+// HMAC keys from example configs - anyone can recompute hashes made with them
+const PLACEHOLDER_HMAC_KEYS = ['change_this_hmac_key'];
+const MIN_HMAC_KEY_BYTES = 32;
+
+class RedactionPolicy {
+    /**
+     * @param {Object} [config=DEFAULT_POLICY]
+     * @param {Object[]} config.rules - Base rules
+     * @param {Object[]} [config.routes] - Overrides: { endpoint, methods?, rules?, disable? }
+     * @param {Object} [options={}]
+     * @param {string} [options.hmacKey] - Key for the `hash` action
+     */
+    constructor(config = DEFAULT_POLICY, { hmacKey } = {}) {
+        this.rules = (config.rules || []).map(compileRule);
+        this.routes = (config.routes || []).map(route => ({
+            endpoint: compileGlob(route.endpoint || '**', '/'),
+            methods: route.methods ? route.methods.map(method => method.toUpperCase()) : null,
+            rules: (route.rules || []).map(compileRule),
+            disable: new Set(route.disable || [])
+        }));
+
+        if ([...this.rules, ...this.routes.flatMap(route => route.rules)].some(rule => rule.action === 'hash')) {
+            if (!hmacKey) {
+                console.warn('⚠️  AUDIT_REDACTION_HMAC_KEY not set - hashed values only correlate within this process');
+            } else if (hmacKeyProblem(hmacKey)) {
+                console.warn(`⚠️  ${hmacKeyProblem(hmacKey)} - hashed values are easy to reverse`);
+            }
+        }
+        this.hmacKey = hmacKey || crypto.randomBytes(32).toString('hex');
+
+        // Resolved rule sets per method + endpoint
+        this.cache = new Map();
+    }
+
+    /**
+     * Redact an audit row in place
+     *
+     * @param {Object} row - Formatted audit row (payload columns are JSON strings)
+     * @returns {Object} The same row
+     */
+    redactRow(row) {
+        const { fieldRules, valueRules } = this.rulesFor(row.http_method, row.endpoint);
+
+        for (const field of PAYLOAD_FIELDS) {
+            const scoped = {
+                fieldRules: fieldRules.filter(rule => appliesTo(rule, field)),
+                valueRules: valueRules.filter(rule => appliesTo(rule, field))
+            };
+            row[field] = this.redactString(row[field], scoped);
+        }
+
+        for (const field of TEXT_FIELDS) {
+            const scoped = valueRules.filter(rule => appliesTo(rule, field));
+            row[field] = this.redactText(row[field], scoped);
+        }
+
+        return row;
+    }
+
+    /**
+     * Redact a payload column - JSON is walked, anything else scanned as text
+     * @private
+     */
+    redactString(value, rules) {
+        if (typeof value !== 'string' || value === '') {
+            return value;
+        }
+
+        const trimmed = value.trimStart();
+        if (trimmed[0] === '{' || trimmed[0] === '[') {
+            try {
+                const redacted = this.walk(JSON.parse(value), [], rules);
+                return redacted === DROP ? '' : JSON.stringify(redacted);
+            } catch (e) {
+                // Not JSON after all - fall through to text scanning
+            }
+        }
+        return this.redactText(value, rules.valueRules);
+    }
+
+    /**
+     * @private
+     */
+    walk(value, path, rules) {
+        if (path.length > 0) {
+            const rule = rules.fieldRules.find(candidate => candidate.paths
+                ? candidate.paths.some(glob => glob(path))
+                : candidate.keys(path[path.length - 1]));
+            if (rule) {
+                return this.apply(rule, value);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            return value
+                .map((item, index) => this.walk(item, [...path, String(index)], rules))
+                .filter(item => item !== DROP);
+        }
+
+        if (typeof value === 'object' && value !== null) {
+            const result = {};
+            for (const [key, child] of Object.entries(value)) {
+                const redacted = this.walk(child, [...path, key], rules);
+                if (redacted !== DROP) {
+                    result[key] = redacted;
+                }
+            }
+            return result;
+        }
+
+        if (typeof value === 'string') {
+            return this.redactText(value, rules.valueRules);
+        }
+
+        if (typeof value === 'number') {
+            // Card numbers sent as numbers
+            const text = String(value);
+            const redacted = this.redactText(text, rules.valueRules);
+            return redacted === text ? value : redacted;
+        }
+
+        return value;
+    }
+
+    /**
+     * Apply value rules to the matches inside a string
+     * @private
+     */
+    redactText(text, valueRules) {
+        if (typeof text !== 'string' || text === '') {
+            return text;
+        }
+
+        let result = text;
+        for (const rule of valueRules) {
+            result = result.replace(rule.pattern, match => {
+                if (rule.validate && !rule.validate(match)) {
+                    return match;
+                }
+                const replaced = this.apply(rule, match);
+                return replaced === DROP ? '' : replaced;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    apply(rule, value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+
+        switch (rule.action) {
+            case 'drop':
+                return DROP;
+            case 'hash':
+                return `hmac:${crypto.createHmac('sha256', this.hmacKey).update(String(text)).digest('hex').slice(0, 32)}`;
+            case 'truncate':
+                return String(text).length > rule.length ? `${String(text).slice(0, rule.length)}…` : text;
+            case 'mask':
+            default:
+                return rule.replacement;
+        }
+    }
+
+    /**
+     * Base rules plus matching route overrides, split by kind
+     * @private
+     */
+    rulesFor(method = '', endpoint = '') {
+        const key = `${method} ${endpoint}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const segments = String(endpoint).split('/').filter(Boolean);
+        const matching = this.routes.filter(route =>
+            route.endpoint(segments) && (!route.methods || route.methods.includes(String(method).toUpperCase()))
+        );
+
+        const disabled = new Set(matching.flatMap(route => [...route.disable]));
+        const rules = [...matching.flatMap(route => route.rules), ...this.rules]
+            .filter(rule => !rule.name || !disabled.has(rule.name));
+
+        const resolved = {
+            fieldRules: rules.filter(rule => rule.paths || rule.keys),
+            valueRules: rules.filter(rule => rule.pattern)
+        };
+
+        // Endpoints with IDs in them are unbounded - keep the cache small
+        if (this.cache.size >= 1000) {
+            this.cache.clear();
+        }
+        this.cache.set(key, resolved);
+        return resolved;
+    }
+}
+
+/**
+ * Validate a rule and precompile its matchers
+ * @private
+ */
+function compileRule(rule) {
+    const action = rule.action || 'mask';
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Redaction rule "${rule.name || '(unnamed)'}": unknown action "${action}"`);
+    }
+
+    const compiled = {
+        name: rule.name,
+        action,
+        fields: rule.fields || null,
+        length: rule.length || 4,
+        replacement: rule.replacement || MASK
+    };
+
+    if (rule.paths) {
+        compiled.paths = rule.paths.map(path => compileGlob(path.replace(/^\$\./, ''), '.'));
+    } else if (rule.keys || rule.containing) {
+        const suffixes = (rule.keys || []).map(normalizeKey);
+        const fragments = (rule.containing || []).map(normalizeKey);
+        compiled.keys = key => {
+            const normalized = normalizeKey(key);
+            return suffixes.some(suffix => normalized.endsWith(suffix))
+                || fragments.some(fragment => normalized.includes(fragment));
+        };
+    } else if (rule.detector) {
+        const detector = DETECTORS[rule.detector];
+        if (!detector) {
+            throw new Error(`Redaction rule "${rule.name || '(unnamed)'}": unknown detector "${rule.detector}"`);
+        }
+        compiled.pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+        compiled.validate = detector.validate;
+    } else if (rule.regex) {
+        const flags = rule.flags || 'g';
+        compiled.pattern = new RegExp(rule.regex, flags.includes('g') ? flags : `${flags}g`);
+    } else {
+        throw new Error(`Redaction rule "${rule.name || '(unnamed)'}" needs paths, keys, containing, detector or regex`);
+    }
+
+    return compiled;
+}
+
+/**
+ * Lowercase without separators: 'X-Api-Key' gives 'xapikey'
+ * @private
+ */
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * @private
+ */
+function appliesTo(rule, field) {
+    return !rule.fields || rule.fields.includes(field);
+}
+
+/**
+ * Why an HMAC key can't keep hashes and pseudonyms from being recomputed
+ *
+ * @param {string} [key] - Usually AUDIT_REDACTION_HMAC_KEY
+ * @returns {string|null} The problem, or null for a usable key
+ */
+function hmacKeyProblem(key) {
+    if (!key) {
+        return 'AUDIT_REDACTION_HMAC_KEY is not set';
+    }
+    if (PLACEHOLDER_HMAC_KEYS.includes(key)) {
+        return 'AUDIT_REDACTION_HMAC_KEY is the example placeholder';
+    }
+    if (Buffer.byteLength(key) < MIN_HMAC_KEY_BYTES) {
+        return `AUDIT_REDACTION_HMAC_KEY is shorter than ${MIN_HMAC_KEY_BYTES} bytes`;
+    }
+    return null;
+}
+
+/**
+ * Luhn checksum (payment card numbers)
+ *
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhnCheck(digits) {
+    if (digits.length < 13 || digits.length > 19) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+module.exports = {
+    RedactionPolicy,
+    DEFAULT_POLICY,
+    hmacKeyProblem,
+    luhnCheck
+};
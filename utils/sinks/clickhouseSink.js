@@ -0,0 +1,144 @@
+/**
+ * ClickHouse Sink
+ *
+ * Multi-row JSONEachRow inserts into `audit_logs` (`audit_logs_local` on a
+ * single node) via the official
+ * @clickhouse/client. When ClickHouse rejects a batch because of its
+ * contents, the batch is bisected and each half retried until the
+ * offending rows are isolated, so every good row is still persisted.
+ * Connectivity and server-state errors stop the insert and hand the
+ * untried rows back as pending.
+ *
+ * Rows of tenants listed in AUDIT_TENANT_ROUTES go to their own table.
+ *
+ * @module utils/sinks/clickhouseSink
+ */
+
+const { ClickHouseError } = require('@clickhouse/client');
+const Sink = require('./sink');
+const { tableFor } = require('../tenant');
+
+// Table the sink writes to (audit_logs_local on a single node, see writeTable())
+const AUDIT_TABLE = 'audit_logs';
+
+// Server errors that describe the server/table state rather than the rows.
+// Bisecting on these would wrongly mark every row in the batch as bad.
+const NON_ROW_ERROR_TYPES = new Set([
+    'UNKNOWN_TABLE',
+    'UNKNOWN_DATABASE',
+    'AUTHENTICATION_FAILED',
+    'REQUIRED_PASSWORD',
+    'ACCESS_DENIED',
+    'READONLY',
+    'MEMORY_LIMIT_EXCEEDED',
+    'TOO_MANY_PARTS',
+    'TOO_MANY_SIMULTANEOUS_QUERIES',
+    'TIMEOUT_EXCEEDED',
+    'SOCKET_TIMEOUT',
+    'NETWORK_ERROR',
+    'ALL_CONNECTION_TRIES_FAILED',
+    'TABLE_IS_READ_ONLY',
+    'NOT_IMPLEMENTED'
+]);
+
+class ClickHouseSink extends Sink {
+    /**
+     * @param {Object} [options={}] - Sink options, plus:
+     * @param {Object} [options.client] - @clickhouse/client instance (default from config/clickhouse)
+     * @param {string} [options.table] - Default: audit_logs (audit_logs_local on a single node)
+     */
+    constructor({ client, table, ...options } = {}) {
+        super('clickhouse', options);
+        // Loaded lazily so other sinks run without ClickHouse configured
+        const config = () => require('../../config/clickhouse');
+        this.client = client || config().client;
+        this.table = table || config().writeTable(AUDIT_TABLE);
+    }
+
+    async write(rows) {
+        const result = { written: [], rejected: [], pending: [] };
+
+        // One insert per destination table, in order of first appearance
+        const byTable = new Map();
+        for (const row of rows) {
+            const table = tableFor(row.tenant_id, this.table);
+            if (!byTable.has(table)) {
+                byTable.set(table, []);
+            }
+            byTable.get(table).push(row);
+        }
+
+        const tables = [...byTable.keys()];
+        for (let i = 0; i < tables.length; i++) {
+            await this.insertBisecting(tables[i], byTable.get(tables[i]), result);
+            if (result.error) {
+                // Unreachable - leave the remaining tables for the retry
+                result.pending = result.pending.concat(...tables.slice(i + 1).map(table => byTable.get(table)));
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Insert rows into one table, bisecting rejected batches
+     *
+     * @param {string} table
+     * @param {Object[]} rows
+     * @param {Object} result - Accumulates written, rejected, pending and error
+     * @private
+     */
+    async insertBisecting(table, rows, result) {
+        const chunks = [rows];
+
+        while (chunks.length > 0) {
+            const chunk = chunks.shift();
+
+            try {
+                await this.client.insert({
+                    table,
+                    values: chunk,
+                    format: 'JSONEachRow'
+                });
+                result.written = result.written.concat(chunk);
+            } catch (error) {
+                // A rejection is still an answer from ClickHouse
+                if (!isRowRejection(error)) {
+                    result.pending = [chunk, ...chunks].flat();
+                    result.error = error;
+                    return;
+                }
+
+                if (chunk.length === 1) {
+                    result.rejected.push({ row: chunk[0], error: error.message, type: error.type });
+                    continue;
+                }
+
+                // Split in half, keeping original order
+                const middle = Math.ceil(chunk.length / 2);
+                chunks.unshift(chunk.slice(0, middle), chunk.slice(middle));
+            }
+        }
+    }
+
+    async ping() {
+        const { success } = await this.client.ping();
+        return success;
+    }
+}
+
+/**
+ * Whether an insert error means ClickHouse rejected the rows themselves
+ * (parse errors, values that don't fit a column) as opposed to being
+ * unreachable or unable to accept writes right now.
+ *
+ * @param {Error} error - Error thrown by client.insert()
+ * @returns {boolean}
+ * @private
+ */
+function isRowRejection(error) {
+    return error instanceof ClickHouseError && !NON_ROW_ERROR_TYPES.has(error.type);
+}
+
+module.exports = ClickHouseSink;
@@ -0,0 +1,114 @@
+/**
+ * Rotating NDJSON File Sink
+ *
+ * Appends one JSON object per line to `<prefix>-<timestamp>.ndjson` in a
+ * directory, starting a new file once the current one reaches `maxBytes`
+ * and deleting the oldest files beyond `maxFiles`. Handy for development
+ * without ClickHouse and for log shippers that tail files.
+ *
+ * @module utils/sinks/fileSink
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Sink = require('./sink');
+
+class FileSink extends Sink {
+    /**
+     * @param {Object} options - Sink options, plus:
+     * @param {string} options.directory - Directory for the files (created if missing)
+     * @param {string} [options.prefix='audit']
+     * @param {number} [options.maxBytes=104857600] - Rotate after this many bytes (0 = never)
+     * @param {number} [options.maxFiles=10] - Files to keep (0 = all)
+     */
+    constructor({ directory, prefix = 'audit', maxBytes = 100 * 1024 * 1024, maxFiles = 10, ...options }) {
+        super('file', options);
+        if (!directory) {
+            throw new Error('FileSink needs a directory');
+        }
+
+        this.directory = directory;
+        this.prefix = prefix;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.pattern = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-\\d+(?:-\\d+)?\\.ndjson$`);
+
+        this.current = null;
+        this.bytes = 0;
+
+        // Writes are serialized - the logger may have several batches in flight
+        this.tail = Promise.resolve();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    write(rows) {
+        const written = this.tail.then(() => this.append(rows));
+        this.tail = written.catch(() => {});
+        return written;
+    }
+
+    /**
+     * @private
+     */
+    async append(rows) {
+        const data = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+
+        if (!this.current || (this.maxBytes > 0 && this.bytes > 0 && this.bytes + Buffer.byteLength(data) > this.maxBytes)) {
+            await this.rotate();
+        }
+
+        await fs.promises.appendFile(path.join(this.directory, this.current), data);
+        this.bytes += Buffer.byteLength(data);
+
+        return { written: rows, rejected: [], pending: [] };
+    }
+
+    /**
+     * Start a new file and prune old ones
+     * @private
+     */
+    async rotate() {
+        let name = `${this.prefix}-${Date.now()}.ndjson`;
+        for (let i = 1; name === this.current || fs.existsSync(path.join(this.directory, name)); i++) {
+            name = `${this.prefix}-${Date.now()}-${i}.ndjson`;
+        }
+        this.current = name;
+        this.bytes = 0;
+
+        if (this.maxFiles > 0) {
+            const files = (await fs.promises.readdir(this.directory))
+                .filter(file => this.pattern.test(file))
+                .sort(byTimestamp);
+            // The new file doesn't exist yet - keep room for it
+            for (const file of files.slice(0, Math.max(0, files.length - this.maxFiles + 1))) {
+                await fs.promises.unlink(path.join(this.directory, file));
+            }
+        }
+    }
+
+    async ping() {
+        await fs.promises.access(this.directory, fs.constants.W_OK);
+        return true;
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            file: this.current ? path.join(this.directory, this.current) : null,
+            fileBytes: this.bytes
+        };
+    }
+}
+
+/**
+ * Order `<prefix>-<ms>[-<n>].ndjson` names oldest first
+ * @private
+ */
+function byTimestamp(a, b) {
+    const [, timeA, indexA = 0] = a.match(/-(\d+)(?:-(\d+))?\.ndjson$/);
+    const [, timeB, indexB = 0] = b.match(/-(\d+)(?:-(\d+))?\.ndjson$/);
+    return Number(timeA) - Number(timeB) || Number(indexA) - Number(indexB);
+}
+
+module.exports = FileSink;
@@ -0,0 +1,105 @@
+/**
+ * Audit Sinks
+ *
+ * Built-in sinks and the factory that builds them from the environment.
+ *
+ * AUDIT_SINKS lists sink types, comma-separated (default `clickhouse`).
+ * The first one is the primary sink; the others receive a copy of every
+ * row with their own batching and retry (see utils/sinks/sink).
+ *
+ * Per-sink settings use AUDIT_SINK_<TYPE>_<SETTING>:
+ *   _BATCH_SIZE, _FLUSH_INTERVAL, _MAX_QUEUE_ROWS   Batching (secondary sinks only)
+ *   _ACTIONS                                        Only forward these actions (secondary sinks only)
+ *   AUDIT_SINK_FILE_DIR, _PREFIX, _MAX_BYTES, _MAX_FILES
+ *   AUDIT_SINK_WEBHOOK_URL, _HEADERS (JSON object), _FORMAT (json|ndjson), _SECRET, _TIMEOUT
+ *
+ * @module utils/sinks
+ *
+ * @example
+ * // Store in ClickHouse, forward deletions and failed logins to a SIEM
+ * AUDIT_SINKS=clickhouse,webhook
+ * AUDIT_SINK_WEBHOOK_URL=https://siem.example.com/collector
+ * AUDIT_SINK_WEBHOOK_ACTIONS=DELETE,LOGIN_FAILED
+ */
+
+const Sink = require('./sink');
+const ClickHouseSink = require('./clickhouseSink');
+const FileSink = require('./fileSink');
+const StdoutSink = require('./stdoutSink');
+const WebhookSink = require('./webhookSink');
+
+const SINK_TYPES = {
+    clickhouse: () => new ClickHouseSink(commonOptions('CLICKHOUSE')),
+    file: () => new FileSink({
+        ...commonOptions('FILE'),
+        directory: env('FILE', 'DIR', './data/audit'),
+        prefix: env('FILE', 'PREFIX', 'audit'),
+        maxBytes: parseInt(env('FILE', 'MAX_BYTES', String(100 * 1024 * 1024))),
+        maxFiles: parseInt(env('FILE', 'MAX_FILES', '10'))
+    }),
+    stdout: () => new StdoutSink(commonOptions('STDOUT')),
+    webhook: () => new WebhookSink({
+        ...commonOptions('WEBHOOK'),
+        url: env('WEBHOOK', 'URL', ''),
+        headers: JSON.parse(env('WEBHOOK', 'HEADERS', '{}')),
+        format: env('WEBHOOK', 'FORMAT', 'json'),
+        secret: env('WEBHOOK', 'SECRET', '') || undefined,
+        timeout: parseInt(env('WEBHOOK', 'TIMEOUT', '10000'))
+    })
+};
+
+/**
+ * Build the sinks listed in AUDIT_SINKS
+ *
+ * @param {string} [list=process.env.AUDIT_SINKS] - Comma-separated sink types
+ * @returns {Sink[]} Primary sink first
+ * @throws {Error} For unknown types or a sink that can't be configured
+ */
+function createSinksFromEnv(list = process.env.AUDIT_SINKS || 'clickhouse') {
+    const types = list.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    if (types.length === 0) {
+        throw new Error('AUDIT_SINKS must name at least one sink');
+    }
+
+    return types.map(type => {
+        if (!SINK_TYPES[type]) {
+            throw new Error(`Unknown audit sink "${type}" (use ${Object.keys(SINK_TYPES).join(', ')})`);
+        }
+        return SINK_TYPES[type]();
+    });
+}
+
+/**
+ * Batching, retry and filter settings shared by all sink types
+ * @private
+ */
+function commonOptions(type) {
+    const options = {
+        batchSize: parseInt(env(type, 'BATCH_SIZE', '100')),
+        flushInterval: parseInt(env(type, 'FLUSH_INTERVAL', '5000')),
+        maxQueueRows: parseInt(env(type, 'MAX_QUEUE_ROWS', '10000'))
+    };
+
+    const actions = env(type, 'ACTIONS', '');
+    if (actions) {
+        const allowed = new Set(actions.split(',').map(action => action.trim().toUpperCase()));
+        options.filter = row => allowed.has(row.action);
+    }
+    return options;
+}
+
+/**
+ * @private
+ */
+function env(type, setting, fallback) {
+    return process.env[`AUDIT_SINK_${type}_${setting}`] || fallback;
+}
+
+module.exports = {
+    Sink,
+    ClickHouseSink,
+    FileSink,
+    StdoutSink,
+    WebhookSink,
+    createSinksFromEnv
+};
@@ -0,0 +1,260 @@
+/**
+ * Audit Sink Base Class
+ *
+ * A sink stores sealed audit rows somewhere. Subclasses implement
+ * `write(rows)`; the base class adds health tracking and, for secondary
+ * sinks, an in-memory queue with its own batching and retry.
+ *
+ * The primary sink (the first one configured) is fed by the AuditLogger's
+ * buffer, so the spool, overflow policy, dead-letter queue and flush()
+ * confirmations follow it. Secondary sinks receive every row as it is
+ * logged and deliver it best-effort: rows still queued when the process
+ * dies are lost, and a full queue drops its oldest rows.
+ *
+ * @module utils/sinks/sink
+ *
+ * @example
+ * class ConsoleCountSink extends Sink {
+ *     constructor(options) {
+ *         super('count', options);
+ *     }
+ *
+ *     async write(rows) {
+ *         console.log(`${rows.length} audit rows`);
+ *         return { written: rows, rejected: [], pending: [] };
+ *     }
+ * }
+ *
+ * auditLogger.addSink(new ConsoleCountSink({ batchSize: 500 }));
+ */
+
+class Sink {
+    /**
+     * @param {string} name - Sink name (metrics label, status key)
+     * @param {Object} [options={}]
+     * @param {number} [options.batchSize=100] - Rows per write (secondary sinks)
+     * @param {number} [options.flushInterval=5000] - Write at least this often in ms (secondary sinks)
+     * @param {number} [options.maxQueueRows=10000] - Oldest rows are dropped beyond this (secondary sinks)
+     * @param {number} [options.retryDelay=1000] - First retry delay in ms, doubled per failure
+     * @param {number} [options.maxRetryDelay=60000] - Cap for the retry delay in ms
+     * @param {Function} [options.filter] - (row) => boolean, rows this sink receives
+     */
+    constructor(name, {
+        batchSize = 100,
+        flushInterval = 5000,
+        maxQueueRows = 10000,
+        retryDelay = 1000,
+        maxRetryDelay = 60000,
+        filter = null
+    } = {}) {
+        this.name = name;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.maxQueueRows = maxQueueRows;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+        this.filter = filter;
+
+        this.queue = [];
+        this.draining = null;
+        this.timer = null;
+        this.failures = 0;
+        this.retryAt = 0;
+
+        // null until the first write or ping
+        this.up = null;
+        this.lastHealthCheck = 0;
+        this.lastError = null;
+
+        this.stats = { written: 0, rejected: 0, dropped: 0, failedWrites: 0 };
+    }
+
+    /**
+     * Store a batch of rows
+     *
+     * Throwing is the same as returning every row as pending.
+     *
+     * @param {Object[]} rows - Sealed audit rows
+     * @returns {Promise<{written: Object[], rejected: Array<{row: Object, error: string, type?: string}>, pending: Object[], error?: Error}>}
+     *   `rejected` rows will never be accepted, `pending` rows may be retried
+     * @abstract
+     */
+    async write(rows) {
+        throw new Error(`Sink ${this.name} does not implement write()`);
+    }
+
+    /**
+     * Check that the destination is reachable (used for metrics)
+     *
+     * @returns {Promise<boolean>}
+     */
+    async ping() {
+        return this.up !== false;
+    }
+
+    /**
+     * Release resources (called on shutdown after the last flush)
+     *
+     * @returns {Promise<void>}
+     */
+    async close() {}
+
+    /**
+     * write() with health tracking and thrown errors turned into pending rows
+     *
+     * @param {Object[]} rows
+     * @returns {Promise<{written: Object[], rejected: Object[], pending: Object[], error?: Error}>}
+     */
+    async deliver(rows) {
+        let result;
+        try {
+            result = await this.write(rows);
+        } catch (error) {
+            result = { written: [], rejected: [], pending: rows, error };
+        }
+
+        this.stats.written += result.written.length;
+        this.stats.rejected += result.rejected.length;
+        this.markHealth(result.pending.length === 0, result.error);
+        return result;
+    }
+
+    /**
+     * Refresh `up` with a ping
+     *
+     * @returns {Promise<boolean>}
+     */
+    async checkHealth() {
+        try {
+            this.markHealth(await this.ping());
+        } catch (error) {
+            this.markHealth(false, error);
+        }
+        return this.up;
+    }
+
+    /**
+     * @private
+     */
+    markHealth(up, error) {
+        this.up = up;
+        this.lastHealthCheck = Date.now();
+        if (error) {
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+        }
+    }
+
+    /**
+     * Whether this sink takes the row
+     *
+     * @param {Object} row
+     * @returns {boolean}
+     */
+    accepts(row) {
+        return !this.filter || Boolean(this.filter(row));
+    }
+
+    /**
+     * Queue a row for delivery (secondary sinks)
+     *
+     * @param {Object} row - Sealed audit row
+     */
+    enqueue(row) {
+        if (!this.accepts(row)) {
+            return;
+        }
+
+        this.queue.push(row);
+        if (this.maxQueueRows > 0 && this.queue.length > this.maxQueueRows) {
+            const excess = this.queue.length - this.maxQueueRows;
+            this.queue.splice(0, excess);
+            this.stats.dropped += excess;
+        }
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.drain(), this.flushInterval);
+        }
+        if (this.queue.length >= this.batchSize) {
+            this.drain();
+        }
+    }
+
+    /**
+     * Write queued rows in batches until the queue is empty or a write fails
+     *
+     * @param {Object} [options={}]
+     * @param {boolean} [options.force=false] - Ignore the retry backoff
+     * @returns {Promise<void>}
+     */
+    drain({ force = false } = {}) {
+        if (this.draining) {
+            return this.draining;
+        }
+        if (this.queue.length === 0 || (!force && Date.now() < this.retryAt)) {
+            return Promise.resolve();
+        }
+
+        this.draining = this.drainQueue().finally(() => {
+            this.draining = null;
+        });
+        return this.draining;
+    }
+
+    /**
+     * @private
+     */
+    async drainQueue() {
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0, this.batchSize);
+            const result = await this.deliver(batch);
+
+            result.rejected.forEach(({ row, error }) => {
+                console.error(`❌ Sink ${this.name} rejected audit row (${row.action} ${row.resource_type}/${row.resource_id}): ${error}`);
+            });
+
+            if (result.pending.length > 0) {
+                this.queue.unshift(...result.pending);
+                this.stats.failedWrites++;
+                this.failures++;
+
+                const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (this.failures - 1));
+                this.retryAt = Date.now() + delay;
+                console.error(`❌ Sink ${this.name} write failed (${result.error ? result.error.message : 'unknown error'}), retrying in ${delay}ms`);
+                return;
+            }
+
+            this.failures = 0;
+            this.retryAt = 0;
+        }
+    }
+
+    /**
+     * Deliver everything queued (one attempt) and stop the timer
+     *
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.drain({ force: true });
+        await this.close();
+    }
+
+    /**
+     * Get sink status (for monitoring)
+     *
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            up: this.up,
+            queued: this.queue.length,
+            ...this.stats,
+            consecutiveFailures: this.failures,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = Sink;
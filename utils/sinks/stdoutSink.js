@@ -0,0 +1,36 @@
+/**
+ * Stdout Sink
+ *
+ * Writes one JSON object per line to stdout for log shippers (Fluent Bit,
+ * Vector, Docker/Kubernetes log drivers). Each line carries
+ * `"type":"audit"` so shippers can route audit rows apart from the
+ * application's own console output.
+ *
+ * @module utils/sinks/stdoutSink
+ */
+
+const Sink = require('./sink');
+
+class StdoutSink extends Sink {
+    /**
+     * @param {Object} [options={}] - Sink options, plus:
+     * @param {Object} [options.stream=process.stdout] - Writable stream
+     */
+    constructor({ stream = process.stdout, ...options } = {}) {
+        super('stdout', options);
+        this.stream = stream;
+    }
+
+    async write(rows) {
+        const data = rows.map(row => JSON.stringify({ type: 'audit', ...row })).join('\n') + '\n';
+
+        // Respect backpressure instead of buffering without bound in the stream
+        if (!this.stream.write(data)) {
+            await new Promise(resolve => this.stream.once('drain', resolve));
+        }
+
+        return { written: rows, rejected: [], pending: [] };
+    }
+}
+
+module.exports = StdoutSink;
@@ -0,0 +1,189 @@
+/**
+ * Tenant Resolution and Routing
+ *
+ * Every audit row carries a `tenant_id`. It is resolved per request from
+ * the sources in AUDIT_TENANT_SOURCE, tried in order until one yields a
+ * valid ID:
+ *   header:<name>            Request header, e.g. header:x-tenant-id
+ *   subdomain[:<base>]       First label of the Host, e.g. acme.cms.example.com
+ *                            (with a base domain, only hosts below it count)
+ *   user:<path>              Dotted path into req.user, e.g. user:tenantId
+ *
+ * With no source configured the service is single-tenant: every row gets
+ * tenant_id '' and reads are not restricted.
+ *
+ * AUDIT_TENANT_ROUTES sends chosen tenants to their own table, as a JSON
+ * object of tenant ID to `table` or `database.table`. Writes and reads for
+ * those tenants use that table instead of `audit_logs`.
+ *
+ * @module utils/tenant
+ *
+ * @example
+ * // AUDIT_TENANT_SOURCE=header:x-tenant-id,user:org.id
+ * // AUDIT_TENANT_ROUTES={"bigcorp": "bigcorp_audit.audit_logs"}
+ * const { resolveTenant, tableFor } = require('./utils/tenant');
+ *
+ * resolveTenant(req);   // 'bigcorp'
+ * tableFor('bigcorp');  // 'bigcorp_audit.audit_logs'
+ * tableFor('acme');     // 'audit_logs'
+ */
+
+// Tenant IDs are stored and compared as-is - keep them boring
+const TENANT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+
+// `table` or `database.table`
+const TABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+const DEFAULT_TABLE = 'audit_logs';
+
+/**
+ * Compile a tenant source list into a resolver
+ *
+ * @param {string|string[]} [spec] - e.g. 'header:x-tenant-id,subdomain:cms.example.com'
+ * @returns {Function} (req) => tenant ID, or '' when none could be resolved
+ * @throws {Error} For unknown source types
+ */
+function createTenantResolver(spec) {
+    const sources = (Array.isArray(spec) ? spec : String(spec || '').split(','))
+        .map(source => source.trim())
+        .filter(Boolean)
+        .map(compileSource);
+
+    return req => {
+        for (const source of sources) {
+            const tenant = String(source(req) || '').trim();
+            if (TENANT_PATTERN.test(tenant)) {
+                return tenant;
+            }
+        }
+        return '';
+    };
+}
+
+/**
+ * @private
+ */
+function compileSource(source) {
+    const separator = source.indexOf(':');
+    const type = (separator === -1 ? source : source.slice(0, separator)).toLowerCase();
+    const argument = separator === -1 ? '' : source.slice(separator + 1).trim();
+
+    switch (type) {
+        case 'header':
+            if (!argument) throw new Error('Tenant source "header" needs a header name, e.g. header:x-tenant-id');
+            return req => req.headers?.[argument.toLowerCase()];
+
+        case 'subdomain': {
+            const base = argument.toLowerCase().replace(/^\./, '');
+            return req => {
+                const host = String(req.headers?.host || '').toLowerCase().replace(/:\d+$/, '');
+                if (base) {
+                    return host.endsWith(`.${base}`) ? host.slice(0, -base.length - 1).split('.').pop() : '';
+                }
+                const labels = host.split('.');
+                return labels.length > 2 ? labels[0] : '';
+            };
+        }
+
+        case 'user': {
+            if (!argument) throw new Error('Tenant source "user" needs a property path, e.g. user:tenantId');
+            const path = argument.split('.');
+            return req => path.reduce((value, key) => (value == null ? undefined : value[key]), req.user);
+        }
+
+        default:
+            throw new Error(`Unknown tenant source "${source}" (use header:<name>, subdomain[:<base>] or user:<path>)`);
+    }
+}
+
+/**
+ * Parse tenant table routes
+ *
+ * @param {Object|string} [routes] - Object or JSON text of tenant -> table
+ * @returns {Map<string, string>}
+ * @throws {Error} For invalid tenant IDs or table names
+ */
+function parseTenantRoutes(routes) {
+    const entries = typeof routes === 'string' ? JSON.parse(routes || '{}') : (routes || {});
+
+    return new Map(Object.entries(entries).map(([tenant, table]) => {
+        if (!TENANT_PATTERN.test(tenant)) {
+            throw new Error(`Invalid tenant ID in AUDIT_TENANT_ROUTES: "${tenant}"`);
+        }
+        if (!TABLE_PATTERN.test(table)) {
+            throw new Error(`Invalid table for tenant "${tenant}" in AUDIT_TENANT_ROUTES: "${table}"`);
+        }
+        return [tenant, table];
+    }));
+}
+
+const tenantSource = process.env.AUDIT_TENANT_SOURCE || '';
+const defaultResolver = createTenantResolver(tenantSource);
+const tenantRoutes = parseTenantRoutes(process.env.AUDIT_TENANT_ROUTES);
+
+/**
+ * Whether AUDIT_TENANT_SOURCE is configured (reads must then be scoped)
+ *
+ * @returns {boolean}
+ */
+function isMultiTenant() {
+    return tenantSource !== '';
+}
+
+/**
+ * Resolve the tenant of a request using AUDIT_TENANT_SOURCE
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Tenant ID, or '' when none could be resolved
+ */
+function resolveTenant(req) {
+    return defaultResolver(req);
+}
+
+/**
+ * Table holding a tenant's audit rows
+ *
+ * @param {string} tenantId
+ * @param {string} [defaultTable='audit_logs']
+ * @returns {string} Table name, possibly database-qualified
+ */
+function tableFor(tenantId, defaultTable = DEFAULT_TABLE) {
+    return tenantRoutes.get(tenantId) || defaultTable;
+}
+
+/**
+ * Every table audit rows may be written to (default table first)
+ *
+ * @returns {string[]}
+ */
+function allTables() {
+    return [...new Set([DEFAULT_TABLE, ...tenantRoutes.values()])];
+}
+
+/**
+ * Express middleware scoping a read route to the caller's tenant
+ *
+ * Sets `req.tenantId`. In multi-tenant mode, requests whose tenant can't
+ * be resolved are refused with 403 so they never see another tenant's rows.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ */
+function requireTenant(req, res, next) {
+    req.tenantId = resolveTenant(req);
+    if (isMultiTenant() && !req.tenantId) {
+        return res.status(403).json({ error: 'Tenant could not be determined for this request' });
+    }
+    next();
+}
+
+module.exports = {
+    createTenantResolver,
+    parseTenantRoutes,
+    isMultiTenant,
+    resolveTenant,
+    tableFor,
+    allTables,
+    requireTenant
+};